@@ -39,6 +39,7 @@ export const MESSAGE_TYPE_NOTIFICATION = 'NOTIFICATION';
 export const HEARTBEATS_STREAM = 'heartbeats';
 export const PAYLOADS_STREAM = 'payloads';
 export const NOTIFICATIONS_STREAM = 'notifications';
+export const MULTIPLEXED_CONNECTION = 'multiplexed';
 
 export const ALL_EDGE_NODES = '*';
 export const STICKY_COMMAND_ID_KEY = '__COMMAND_ID';
@@ -48,7 +49,16 @@ export const NETWORK_STICKY_PAYLOAD_RECEIVED = 'network.sticky.payload.received'
 export const SECOND = 1000;
 
 export const TIMEOUT_MAX_REQUEST_TIME = 90 * SECOND;
-export const TIMEOUT_TO_FIRST_RESPONSE = 1500 * SECOND;
+export const DEFAULT_HEARTBEAT_INTERVAL = 10 * SECOND;
+export const MISSED_HEARTBEATS_BEFORE_OFFLINE = 3;
+export const RECONNECT_INITIAL_DELAY = SECOND;
+export const RECONNECT_MAX_DELAY = 30 * SECOND;
+export const TIMEOUT_TO_FIRST_RESPONSE = 15 * SECOND;
+export const TIMEOUT_PHASE_FIRST_RESPONSE = 'firstResponse';
+export const TIMEOUT_PHASE_COMPLETION = 'completion';
+export const TIMEOUT_PHASE_PAYLOAD = 'payload';
+export const TIMEOUT_PHASE_OUTBOUND = 'outbound';
+export const OUTBOUND_QUEUE_TTL = 60 * SECOND;
 
 export const REST_CUSTOM_EXEC_SIGNATURE = 'REST_CUSTOM_EXEC_01';
 
@@ -57,10 +67,18 @@ export const NODE_COMMAND_ARCHIVE_CONFIG = 'ARCHIVE_CONFIG';
 export const NODE_COMMAND_ARCHIVE_CONFIG_ALL = 'ARCHIVE_CONFIG_ALL';
 export const NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE = 'BATCH_UPDATE_PIPELINE_INSTANCE';
 export const NODE_COMMAND_DELETE_CONFIG_ALL = 'DELETE_CONFIG_ALL';
+export const NODE_COMMAND_FULL_HEARTBEAT = 'FULL_HEARTBEAT';
 export const NODE_COMMAND_PIPELINE_COMMAND = 'PIPELINE_COMMAND';
+export const NODE_COMMAND_RESTART = 'RESTART';
+export const NODE_COMMAND_STOP = 'STOP';
+export const NODE_COMMAND_TIMERS_ONLY_HEARTBEAT = 'TIMERS_ONLY_HEARTBEAT';
 export const NODE_COMMAND_UPDATE_CONFIG = 'UPDATE_CONFIG';
 export const NODE_COMMAND_UPDATE_PIPELINE_INSTANCE = 'UPDATE_PIPELINE_INSTANCE';
 
+// Node events followed by the node level network requests
+export const NODE_EVENT_HEARTBEAT = 'NODE_HEARTBEAT';
+export const NODE_EVENT_OFFLINE = 'NODE_OFFLINE';
+
 // Network client events
 export const ZxAI_CLIENT_CONNECTED = 'ZxAICCONNSUCCESS';
 export const ZxAI_CLIENT_SYS_TOPIC_SUBSCRIBE = 'ZxAICSTS';
@@ -77,6 +95,28 @@ export const ZxAI_EXCEPTION = 'ZxAIEX';
 export const ZxAI_ENGINE_OFFLINE = 'ZxAIEEOFF';
 export const ZxAI_ENGINE_ONLINE = 'ZxAIEEON';
 export const ZxAI_SUPERVISOR_PAYLOAD = 'ZxAISUPERPAY';
+export const ZxAI_INVALID_SIGNATURE = 'ZxAIINVSIGN';
+export const ZxAI_MESSAGE_NOT_FOR_US = 'ZxAINOTFORUS';
+export const ZxAI_NODE_MANAGER_CONFLICT = 'ZxAINMCONFLICT';
+export const ZxAI_OUTBOUND_QUEUE_UPDATED = 'ZxAIOUTQUEUE';
+export const ZxAI_NODE_ADDRESS_PINNED = 'ZxAIPINNED';
+export const ZxAI_PIN_VIOLATION = 'ZxAIPINVIOL';
+export const ZxAI_UNTRUSTED_SENDER = 'ZxAIUNTRUSTED';
+
+// Connection states
+export const CONNECTION_STATE_CONNECTING = 'connecting';
+export const CONNECTION_STATE_CONNECTED = 'connected';
+export const CONNECTION_STATE_DISCONNECTED = 'disconnected';
+export const CONNECTION_STATE_SHUTDOWN = 'shutdown';
+
+// Signature verification policies
+export const SIGNATURE_POLICY_DROP = 'drop';
+export const SIGNATURE_POLICY_FLAG = 'flag';
+export const SIGNATURE_POLICY_PASS = 'pass';
+
+// Derivations of the identities from secret words
+export const IDENTITY_DERIVATION_LEGACY = 'legacy';
+export const IDENTITY_DERIVATION_BIP39_V1 = 'bip39-v1';
 
 // NOTIFICATION TYPES
 export const NOTIFICATION_TYPE_EXCEPTION = 'EXCEPTION';
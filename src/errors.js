@@ -0,0 +1,260 @@
+/**
+ * @typedef {Object} NetworkRequestTarget
+ * @property {Array<string|null>} path the watched notification path
+ * @property {string|null} code the `NOTIFICATION_CODE` received for the path
+ * @property {string|null} type the `NOTIFICATION_TYPE` received for the path
+ * @property {string|null} notification the message received for the path
+ * @property {number|null} timestamp the time the response was processed
+ */
+
+/**
+ * @typedef {Object} NetworkRequestReport
+ * @property {Array<NetworkRequestTarget>} successes the targets that were answered successfully
+ * @property {Array<NetworkRequestTarget>} failures the targets that were answered with a failure
+ */
+
+/**
+ * Lists the failed targets along with the reasons received from the node.
+ *
+ * @param {Array<NetworkRequestTarget>} failures
+ * @return {string}
+ */
+const describeFailures = (failures) =>
+    failures.map((target) => `${target.path.join(':')} (${target.code}: ${target.notification})`).join(', ');
+
+/**
+ * @class NetworkRequestError
+ *
+ * Base class for the errors failing the network requests published for the NaeuralEdgeProtocol Network nodes. Along
+ * with the failure, the error describes the targets that were already answered when the request failed.
+ */
+export class NetworkRequestError extends Error {
+    /**
+     * The targets that were answered successfully.
+     *
+     * @type {Array<NetworkRequestTarget>}
+     */
+    successes;
+
+    /**
+     * The targets that were answered with a failure.
+     *
+     * @type {Array<NetworkRequestTarget>}
+     */
+    failures;
+
+    /**
+     * The NetworkRequestError constructor.
+     *
+     * @param {string} message
+     * @param {NetworkRequestReport} report
+     */
+    constructor(message, report = {}) {
+        super(message);
+        this.name = 'NetworkRequestError';
+        this.successes = report.successes ?? [];
+        this.failures = report.failures ?? [];
+    }
+}
+
+/**
+ * @class NodeRejectedError
+ *
+ * Rejection reason for the network requests for which the node answered every target with a failure.
+ */
+export class NodeRejectedError extends NetworkRequestError {
+    /**
+     * All the notifications received for the request, in the order they were received.
+     *
+     * @type {Array<Object>}
+     */
+    notifications;
+
+    /**
+     * The NodeRejectedError constructor.
+     *
+     * @param {NetworkRequestReport} report
+     * @param {Array<Object>} notifications
+     */
+    constructor(report, notifications = []) {
+        super(`The node rejected the request: ${describeFailures(report.failures)}.`, report);
+        this.name = 'NodeRejectedError';
+        this.notifications = notifications;
+    }
+}
+
+/**
+ * @class PartialFailureError
+ *
+ * Rejection reason for the network requests for which the node answered some of the targets successfully and some
+ * with a failure.
+ */
+export class PartialFailureError extends NodeRejectedError {
+    /**
+     * The PartialFailureError constructor.
+     *
+     * @param {NetworkRequestReport} report
+     * @param {Array<Object>} notifications
+     */
+    constructor(report, notifications = []) {
+        super(report, notifications);
+        this.name = 'PartialFailureError';
+        this.message =
+            `The node rejected ${report.failures.length} of ${report.failures.length + report.successes.length} ` +
+            `targets: ${describeFailures(report.failures)}.`;
+    }
+}
+
+/**
+ * @typedef {Object} RollbackReport
+ * @property {string} pipeline the pipeline restored to its previous config
+ * @property {string} action the action published to restore the pipeline
+ * @property {*} error the reason the restore failed, `null` if the pipeline was restored
+ */
+
+/**
+ * @class CommitRolledBackError
+ *
+ * Rejection reason for the transactional commits that failed. The pipelines that were already applied on the node are
+ * restored to the configs running before the commit, and the outcome of each restore is listed in `rollback`.
+ */
+export class CommitRolledBackError extends NetworkRequestError {
+    /**
+     * The reasons the commit requests failed with.
+     *
+     * @type {Array<*>}
+     */
+    errors;
+
+    /**
+     * The pipelines that were rolled back.
+     *
+     * @type {Array<RollbackReport>}
+     */
+    rollback;
+
+    /**
+     * The CommitRolledBackError constructor.
+     *
+     * @param {Array<*>} errors
+     * @param {Array<RollbackReport>} rollback
+     */
+    constructor(errors, rollback) {
+        const restored = rollback.filter((report) => report.error === null).map((report) => report.pipeline);
+        const unrestored = rollback.filter((report) => report.error !== null).map((report) => report.pipeline);
+
+        super(
+            `The commit failed (${errors.map((error) => error?.message ?? String(error)).join(' ')}). ` +
+                `Rolled back: ${restored.join(', ') || 'none'}.` +
+                (unrestored.length > 0 ? ` Could not roll back: ${unrestored.join(', ')}.` : ''),
+            errors
+                .filter((error) => error instanceof NetworkRequestError)
+                .reduce(
+                    (report, error) => ({
+                        successes: report.successes.concat(error.successes),
+                        failures: report.failures.concat(error.failures),
+                    }),
+                    { successes: [], failures: [] },
+                ),
+        );
+        this.name = 'CommitRolledBackError';
+        this.errors = errors;
+        this.rollback = rollback;
+    }
+}
+
+/**
+ * @class RequestTimeoutError
+ *
+ * Rejection reason for the network requests that were not answered in time. The `phase` is either `firstResponse`,
+ * when no notification was received at all, `completion`, when some of the watched paths never answered, `payload`,
+ * when no payload answered a sticky command, or `outbound`, when the message expired in the outbound queue before
+ * the connection was restored.
+ */
+export class RequestTimeoutError extends NetworkRequestError {
+    /**
+     * The phase that timed out.
+     *
+     * @type {string}
+     */
+    phase;
+
+    /**
+     * The watched paths for which no notification was received.
+     *
+     * @type {Array<Array<string|null>>}
+     */
+    pendingPaths;
+
+    /**
+     * The timeout that expired, in milliseconds.
+     *
+     * @type {number}
+     */
+    timeout;
+
+    /**
+     * The RequestTimeoutError constructor.
+     *
+     * @param {string} phase
+     * @param {Array<Array<string|null>>} pendingPaths
+     * @param {number} timeout
+     * @param {NetworkRequestReport} report
+     */
+    constructor(phase, pendingPaths, timeout, report = {}) {
+        super(
+            `The network request timed out after ${timeout}ms waiting for the ${phase} phase. ` +
+                `No response for: ${pendingPaths.map((path) => path.join(':')).join(', ') || 'none'}.`,
+            report,
+        );
+        this.name = 'RequestTimeoutError';
+        this.phase = phase;
+        this.pendingPaths = pendingPaths;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * @class RequestAbortedError
+ *
+ * Rejection reason for the network requests cancelled through an `AbortSignal`. The `name` follows the DOM convention
+ * in order for the error to be handled like any other aborted operation.
+ */
+export class RequestAbortedError extends NetworkRequestError {
+    /**
+     * The reason passed to `AbortController.abort()`, if any.
+     *
+     * @type {*}
+     */
+    reason;
+
+    /**
+     * The RequestAbortedError constructor.
+     *
+     * @param {*} reason
+     * @param {NetworkRequestReport} report
+     */
+    constructor(reason = undefined, report = {}) {
+        super('The network request was aborted.', report);
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * @class ClientDisconnectedError
+ *
+ * Rejection reason for the network requests still pending when the client is disconnected, as their responses can no
+ * longer be received.
+ */
+export class ClientDisconnectedError extends NetworkRequestError {
+    /**
+     * The ClientDisconnectedError constructor.
+     *
+     * @param {NetworkRequestReport} report
+     */
+    constructor(report = {}) {
+        super('The network client was disconnected before receiving a response.', report);
+        this.name = 'ClientDisconnectedError';
+    }
+}
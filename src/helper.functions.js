@@ -1,5 +1,6 @@
 import * as pako from 'pako';
 import { v4 as uuidv4 } from 'uuid';
+import { RECONNECT_INITIAL_DELAY, RECONNECT_MAX_DELAY } from './constants.js';
 
 /**
  * Represents the configuration for an interval.
@@ -320,4 +321,62 @@ export const computeDifferences = (original, modified) => {
     }
 
     return Object.keys(differences).length > 0 ? differences : null;
-};
\ No newline at end of file
+};
+
+/**
+ * Helper function that describes the changes between two configs, one line per key. Added keys are prefixed with `+`,
+ * modified keys with `~` and removed keys with `-`. Removed keys are only reported when `withRemovals` is set, as
+ * partial updates leave the keys they don't mention untouched.
+ *
+ * @param {Object} original
+ * @param {Object} modified
+ * @param {string} label the prefix for the reported keys
+ * @param {boolean} withRemovals
+ * @return {Array<string>}
+ */
+export const describeDifferences = (original, modified, label, withRemovals = true) => {
+    const lines = [];
+
+    Object.keys(modified).forEach((key) => {
+        const modifiedValue = JSON.stringify(modified[key]);
+
+        if (!Object.hasOwn(original, key)) {
+            lines.push(`+ ${label}.${key}: ${modifiedValue}`);
+        } else if (JSON.stringify(original[key]) !== modifiedValue) {
+            lines.push(`~ ${label}.${key}: ${JSON.stringify(original[key])} -> ${modifiedValue}`);
+        }
+    });
+
+    if (withRemovals) {
+        Object.keys(original)
+            .filter((key) => !Object.hasOwn(modified, key))
+            .forEach((key) => lines.push(`- ${label}.${key}: ${JSON.stringify(original[key])}`));
+    }
+
+    return lines;
+};
+
+/**
+ * Helper function that computes the delay before the next reconnect attempt. The delay grows exponentially with the
+ * number of failed attempts and is capped at `maxDelay`. When `maxAttempts` is reached, `null` is returned.
+ *
+ * @param {number} attempt the number of failed attempts so far
+ * @param {Object} options
+ * @param {number} [options.initialDelay]
+ * @param {number} [options.maxDelay]
+ * @param {number} [options.multiplier]
+ * @param {number|null} [options.maxAttempts]
+ * @return {number|null}
+ */
+export const exponentialBackoff = (attempt, options = {}) => {
+    const initialDelay = options.initialDelay ?? RECONNECT_INITIAL_DELAY;
+    const maxDelay = options.maxDelay ?? RECONNECT_MAX_DELAY;
+    const multiplier = options.multiplier ?? 2;
+    const maxAttempts = options.maxAttempts ?? null;
+
+    if (maxAttempts !== null && attempt >= maxAttempts) {
+        return null;
+    }
+
+    return Math.min(initialDelay * Math.pow(multiplier, attempt), maxDelay);
+};
@@ -0,0 +1,186 @@
+import { Buffer } from 'buffer';
+import { NaeuralBC } from '../web.blockchain.js';
+import { IndexedDBIdentityStore } from './indexeddb.identity.store.js';
+
+const IDENTITY_RECORD_VERSION = 1;
+const IDENTITY_NONCE_LENGTH = 12;
+const DEFAULT_IDENTITY_NAME = 'default';
+
+/**
+ * @typedef {Object} StoredIdentity
+ * @property {number} version the record format version
+ * @property {string} address the NaeuralEdgeProtocol Network address of the identity
+ * @property {CryptoKey} wrappingKey the non-extractable AES-GCM key encrypting the private key
+ * @property {Uint8Array} iv the AES-GCM nonce
+ * @property {Uint8Array} ciphertext the encrypted private key
+ * @property {number} createdAt the time the identity was created
+ */
+
+/**
+ * @class IdentityProvider
+ *
+ * Keeps the client identity in an `IdentityStore`, IndexedDB by default, so the client address stays stable across
+ * sessions. WebCrypto does not support the secp256k1 curve, so the private key is stored encrypted with a
+ * non-extractable AES-GCM key kept next to it. This only protects the record copied out of the origin's storage: any
+ * script running on the origin can use the stored AES key, and `load()` returns the private key in clear, so the
+ * identity is as exposed to the page scripts as any other secret held in memory.
+ */
+export class IdentityProvider {
+    /**
+     * @type {IdentityStore}
+     * @private
+     */
+    store;
+
+    /**
+     * The name under which the identity is stored.
+     *
+     * @type {string}
+     * @private
+     */
+    name;
+
+    /**
+     * The IdentityProvider constructor.
+     *
+     * @param {IdentityStore|null} store
+     * @param {string} name
+     */
+    constructor(store = null, name = DEFAULT_IDENTITY_NAME) {
+        this.store = store ?? new IndexedDBIdentityStore();
+        this.name = name;
+    }
+
+    /**
+     * Generates a new identity and stores it. Will throw if an identity is already stored, use `rotate()` to replace
+     * it.
+     *
+     * @return {Promise<Object>} the elliptic key pair
+     */
+    async create() {
+        try {
+            return await this._generate(false);
+        } catch (error) {
+            if (error?.name === 'ConstraintError') {
+                throw new Error(`An identity is already stored as ${this.name}.`);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Loads the stored identity. The returned key pair holds the private key in clear.
+     *
+     * @return {Promise<Object|null>} the elliptic key pair, or `null` if no identity is stored
+     */
+    async load() {
+        const record = await this.store.get(this.name);
+        if (record === null) {
+            return null;
+        }
+
+        if (record.version !== IDENTITY_RECORD_VERSION) {
+            throw new Error(`Unsupported stored identity version: ${record.version}.`);
+        }
+
+        const privateKey = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv, additionalData: new TextEncoder().encode(record.address) },
+            record.wrappingKey,
+            record.ciphertext,
+        );
+
+        return NaeuralBC.ec.keyFromPrivate(Buffer.from(privateKey).toString('hex'), 'hex');
+    }
+
+    /**
+     * Loads the stored identity, creating it on first use. When several sessions create it at the same time, the
+     * first one stored wins and the others load it.
+     *
+     * @return {Promise<Object>} the elliptic key pair
+     */
+    async loadOrCreate() {
+        const loaded = await this.load();
+        if (loaded !== null) {
+            return loaded;
+        }
+
+        try {
+            return await this._generate(false);
+        } catch (error) {
+            if (error?.name !== 'ConstraintError') {
+                throw error;
+            }
+
+            return this.load();
+        }
+    }
+
+    /**
+     * Replaces the stored identity with a newly generated one. The previous identity is lost.
+     *
+     * @return {Promise<Object>} the new elliptic key pair
+     */
+    async rotate() {
+        return this._generate(true);
+    }
+
+    /**
+     * Removes the stored identity.
+     *
+     * @return {Promise<void>}
+     */
+    async delete() {
+        await this.store.delete(this.name);
+    }
+
+    /**
+     * Returns the address of the stored identity without decrypting it.
+     *
+     * @return {Promise<string|null>}
+     */
+    async getAddress() {
+        return (await this.store.get(this.name))?.address ?? null;
+    }
+
+    /**
+     * Generates and stores a new identity. Unless `replace` is set, the store rejects with a `ConstraintError` if an
+     * identity is already stored.
+     *
+     * @param {boolean} replace
+     * @return {Promise<Object>}
+     * @private
+     */
+    async _generate(replace) {
+        const keyPair = NaeuralBC.ec.genKeyPair();
+        const address = NaeuralBC.addressFromPublicKey(keyPair.getPublic(true, 'hex'));
+
+        const wrappingKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+            'encrypt',
+            'decrypt',
+        ]);
+        const iv = crypto.getRandomValues(new Uint8Array(IDENTITY_NONCE_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(address) },
+            wrappingKey,
+            Buffer.from(keyPair.getPrivate('hex').padStart(64, '0'), 'hex'),
+        );
+
+        /** @type {StoredIdentity} */
+        const record = {
+            version: IDENTITY_RECORD_VERSION,
+            address,
+            wrappingKey,
+            iv,
+            ciphertext: new Uint8Array(ciphertext),
+            createdAt: new Date().getTime(),
+        };
+        if (replace) {
+            await this.store.put(this.name, record);
+        } else {
+            await this.store.add(this.name, record);
+        }
+
+        return keyPair;
+    }
+}
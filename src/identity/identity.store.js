@@ -0,0 +1,51 @@
+/**
+ * @class IdentityStore
+ *
+ * The contract for the storages used by the `IdentityProvider` to persist the client identities. The stored records
+ * contain `CryptoKey` objects, so implementations must keep the values as they are (e.g. through structured cloning)
+ * instead of serializing them.
+ */
+export class IdentityStore {
+    /**
+     * Returns the record stored under `name`, or `null` if there is none.
+     *
+     * @param {string} name
+     * @return {Promise<Object|null>}
+     */
+    get(name) {
+        return Promise.reject(new Error('IdentityStore.get() is not implemented.'));
+    }
+
+    /**
+     * Stores the `record` under `name`, atomically checking that no record is stored under it yet. Rejects with a
+     * `ConstraintError` otherwise.
+     *
+     * @param {string} name
+     * @param {Object} record
+     * @return {Promise<void>}
+     */
+    add(name, record) {
+        return Promise.reject(new Error('IdentityStore.add() is not implemented.'));
+    }
+
+    /**
+     * Stores the `record` under `name`, replacing any existing one.
+     *
+     * @param {string} name
+     * @param {Object} record
+     * @return {Promise<void>}
+     */
+    put(name, record) {
+        return Promise.reject(new Error('IdentityStore.put() is not implemented.'));
+    }
+
+    /**
+     * Removes the record stored under `name`.
+     *
+     * @param {string} name
+     * @return {Promise<void>}
+     */
+    delete(name) {
+        return Promise.reject(new Error('IdentityStore.delete() is not implemented.'));
+    }
+}
@@ -0,0 +1,41 @@
+import { IdentityStore } from './identity.store.js';
+
+/**
+ * @class InMemoryIdentityStore
+ *
+ * An identity store keeping the records in memory, for tests and for the environments without IndexedDB. The
+ * identities do not survive the process.
+ */
+export class InMemoryIdentityStore extends IdentityStore {
+    /**
+     * The stored records, indexed by name.
+     *
+     * @type {Map<string, Object>}
+     * @private
+     */
+    records = new Map();
+
+    get(name) {
+        return Promise.resolve(this.records.get(name) ?? null);
+    }
+
+    add(name, record) {
+        if (this.records.has(name)) {
+            return Promise.reject(new DOMException(`A record is already stored as ${name}.`, 'ConstraintError'));
+        }
+
+        return this.put(name, record);
+    }
+
+    put(name, record) {
+        this.records.set(name, record);
+
+        return Promise.resolve();
+    }
+
+    delete(name) {
+        this.records.delete(name);
+
+        return Promise.resolve();
+    }
+}
@@ -0,0 +1,138 @@
+import { IdentityStore } from './identity.store.js';
+
+const DEFAULT_DATABASE = 'naeural';
+const DEFAULT_OBJECT_STORE = 'identities';
+
+/**
+ * @class IndexedDBIdentityStore
+ *
+ * An identity store backed by the browser's IndexedDB. The records are stored through structured cloning, so the
+ * non-extractable `CryptoKey`s they contain are persisted without ever being exposed.
+ */
+export class IndexedDBIdentityStore extends IdentityStore {
+    /**
+     * The opened database, lazily created on first access.
+     *
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    database = null;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    databaseName;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    objectStoreName;
+
+    /**
+     * @type {IDBFactory|null}
+     * @private
+     */
+    factory;
+
+    /**
+     * The IndexedDBIdentityStore constructor.
+     *
+     * @param {string} databaseName
+     * @param {string} objectStoreName
+     * @param {IDBFactory|null} factory defaults to the global `indexedDB`
+     */
+    constructor(databaseName = DEFAULT_DATABASE, objectStoreName = DEFAULT_OBJECT_STORE, factory = null) {
+        super();
+        this.databaseName = databaseName;
+        this.objectStoreName = objectStoreName;
+        this.factory = factory;
+    }
+
+    async get(name) {
+        const result = await this._run('readonly', (store) => store.get(name));
+
+        return result ?? null;
+    }
+
+    async add(name, record) {
+        await this._run('readwrite', (store) => store.add(record, name));
+    }
+
+    async put(name, record) {
+        await this._run('readwrite', (store) => store.put(record, name));
+    }
+
+    async delete(name) {
+        await this._run('readwrite', (store) => store.delete(name));
+    }
+
+    /**
+     * Runs a single request against the object store. The result is only returned once the transaction completes, so
+     * a write is never reported as successful before being committed.
+     *
+     * @param {string} mode
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     * @return {Promise<*>}
+     * @private
+     */
+    async _run(mode, operation) {
+        const database = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.objectStoreName, mode);
+            const request = operation(transaction.objectStore(this.objectStoreName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error ?? request.error);
+            transaction.onabort = () => reject(transaction.error ?? new Error('The IndexedDB transaction was aborted.'));
+        });
+    }
+
+    /**
+     * @return {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (this.database === null) {
+            const factory = this.factory ?? globalThis.indexedDB;
+            if (!factory) {
+                return Promise.reject(new Error('IndexedDB is not available in this environment.'));
+            }
+
+            const request = factory.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.objectStoreName);
+            this.database = new Promise((resolve, reject) => {
+                let blocked = false;
+
+                request.onsuccess = () => {
+                    const database = request.result;
+                    if (blocked) {
+                        // the caller was already rejected, the late connection would only block the others
+                        database.close();
+
+                        return;
+                    }
+
+                    database.onversionchange = () => {
+                        database.close();
+                        this.database = null;
+                    };
+                    resolve(database);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => {
+                    blocked = true;
+                    reject(new Error(`The "${this.databaseName}" database is blocked by a connection open elsewhere.`));
+                };
+            }).catch((error) => {
+                this.database = null;
+
+                throw error;
+            });
+        }
+
+        return this.database;
+    }
+}
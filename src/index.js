@@ -4,3 +4,12 @@ export * from './helper.functions';
 export * from './utils/dcts';
 export * from './web.client';
 export * from './web.blockchain';
+export * from './errors';
+export * from './transports/transport';
+export * from './transports/mqtt.transport';
+export * from './transports/in.memory.transport';
+export * from './simulator/edge.node.simulator';
+export * from './identity/identity.store';
+export * from './identity/indexeddb.identity.store';
+export * from './identity/in.memory.identity.store';
+export * from './identity/identity.provider';
@@ -1,10 +1,18 @@
+import { Subject } from 'rxjs';
 import { generateId } from '../helper.functions.js';
+import { NodeRejectedError, PartialFailureError, RequestTimeoutError } from '../errors.js';
 import {
     NODE_COMMAND_ARCHIVE_CONFIG,
     NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
+    NODE_COMMAND_FULL_HEARTBEAT,
     NODE_COMMAND_PIPELINE_COMMAND,
+    NODE_COMMAND_RESTART,
+    NODE_COMMAND_STOP,
+    NODE_COMMAND_TIMERS_ONLY_HEARTBEAT,
     NODE_COMMAND_UPDATE_CONFIG,
     NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+    NODE_EVENT_HEARTBEAT,
+    NODE_EVENT_OFFLINE,
     NOTIFICATION_TYPE_EXCEPTION,
     PIPELINE_ARCHIVE_FAILED,
     PIPELINE_ARCHIVE_OK,
@@ -106,6 +114,93 @@ const updatePipelineInstanceRequestStrategy = (notification, request) => {
     }
 };
 
+/**
+ * The heartbeat sections only sent by the nodes when a full heartbeat is requested.
+ *
+ * @type {Array<string>}
+ */
+const FULL_HEARTBEAT_SECTIONS = ['DEVICE_LOG', 'ERROR_LOG'];
+
+/**
+ * Defines the strategy to be applied when attempting to solve a TIMERS_ONLY_HEARTBEAT network request. The request is
+ * resolved with the first heartbeat received after publishing.
+ *
+ * @param {Object} event
+ * @param {NetworkRequest} request
+ */
+const heartbeatRequestStrategy = (event, request) => {
+    if (event.context.metadata.NOTIFICATION_CODE === NODE_EVENT_HEARTBEAT) {
+        request.acknowledge(event).resolve(event.data['HEARTBEAT']);
+    }
+};
+
+/**
+ * Defines the strategy to be applied when attempting to solve a FULL_HEARTBEAT network request. The request is
+ * resolved with the first full heartbeat received after publishing, the routine heartbeats being ignored.
+ *
+ * @param {Object} event
+ * @param {NetworkRequest} request
+ */
+const fullHeartbeatRequestStrategy = (event, request) => {
+    const raw = event.data['HEARTBEAT']?.raw ?? {};
+
+    if (FULL_HEARTBEAT_SECTIONS.some((section) => raw[section] !== undefined)) {
+        heartbeatRequestStrategy(event, request);
+    }
+};
+
+/**
+ * Defines the strategy to be applied when attempting to solve a STOP network request. The request is resolved when
+ * the node's heartbeats cease.
+ *
+ * @param {Object} event
+ * @param {NetworkRequest} request
+ */
+const stopRequestStrategy = (event, request) => {
+    if (event.context.metadata.NOTIFICATION_CODE === NODE_EVENT_OFFLINE) {
+        request.acknowledge(event).resolve();
+    }
+};
+
+/**
+ * Creates the strategy to be applied when attempting to solve a RESTART network request. The request is resolved
+ * with the first heartbeat received after the node went away. A node restarting faster than the offline detection is
+ * recognized by its uptime being reset.
+ *
+ * @return {function(Object, NetworkRequest)}
+ */
+const makeRestartRequestStrategy = () => {
+    let wentAway = false;
+
+    return (event, request) => {
+        switch (event.context.metadata.NOTIFICATION_CODE) {
+            case NODE_EVENT_OFFLINE:
+                wentAway = true;
+                break;
+            case NODE_EVENT_HEARTBEAT: {
+                const uptime = event.data['HEARTBEAT']?.node?.UPTIME ?? null;
+                const previousUptime = event.data['PREVIOUS_HEARTBEAT']?.node?.UPTIME ?? null;
+
+                if (wentAway || (uptime !== null && previousUptime !== null && uptime < previousUptime)) {
+                    request.acknowledge(event).resolve(event.data['HEARTBEAT']);
+                }
+                break;
+            }
+        }
+    };
+};
+
+/**
+ * @typedef {Object} NetworkRequestProgress
+ * @property {string} requestId the id of the network request
+ * @property {Array<string|null>} path the target that responded
+ * @property {boolean} status `true` if the target responded successfully
+ * @property {string|null} reason the notification received for the target
+ * @property {number} timestamp the time the response was processed
+ * @property {number} answered the number of targets that responded so far
+ * @property {number} total the number of targets watched by the request
+ */
+
 /**
  * @class NetworkRequest
  *
@@ -167,6 +262,22 @@ export class NetworkRequest {
      */
     strategy;
 
+    /**
+     * Flag marking the transactions followed through the node's heartbeats instead of its notifications.
+     *
+     * @type {boolean}
+     * @private
+     */
+    nodeLevel = false;
+
+    /**
+     * The time the request was published on the network, `null` while it was not sent yet.
+     *
+     * @type {number|null}
+     * @private
+     */
+    sentAt = null;
+
     /**
      * Handlers for the timeouts.
      *
@@ -178,6 +289,14 @@ export class NetworkRequest {
         completion: null,
     };
 
+    /**
+     * Stream of the responses received for each target.
+     *
+     * @type {Subject<NetworkRequestProgress>}
+     * @private
+     */
+    progress = new Subject();
+
     /**
      * Reference to the network request handler that keeps track of all the open requests.
      *
@@ -227,10 +346,21 @@ export class NetworkRequest {
     close() {
         this.closed = true;
         this.clearCompletionTimeout();
+        this.progress.complete();
 
         return this;
     }
 
+    /**
+     * Returns the stream of responses received for the watched targets. The stream completes when the transaction
+     * is closed.
+     *
+     * @return {Observable<NetworkRequestProgress>}
+     */
+    getProgress() {
+        return this.progress.asObservable();
+    }
+
     /**
      * Registers a notification path to track when resolving the transaction.
      *
@@ -241,6 +371,9 @@ export class NetworkRequest {
         this.targets[path.join(':')] = {
             status: null,
             reason: null,
+            code: null,
+            type: null,
+            timestamp: null,
         };
 
         this.nodeRequestsHandler.index(path, this);
@@ -258,6 +391,16 @@ export class NetworkRequest {
         return Object.keys(this.targets).includes(path.join(':'));
     }
 
+    /**
+     * Returns `true` if the current transaction is still waiting for a response on the notification `path`.
+     *
+     * @param {string[]} path
+     * @return {boolean}
+     */
+    isWaitingFor(path) {
+        return this.targets[path.join(':')]?.status === null;
+    }
+
     /**
      * Returns all the notification `path`s watched by the current transaction.
      *
@@ -269,6 +412,17 @@ export class NetworkRequest {
         );
     }
 
+    /**
+     * Returns the watched notification `path`s for which no response was received yet.
+     *
+     * @return {Array<Array<(string|null)>>}
+     */
+    listPendingWatches() {
+        return Object.keys(this.targets)
+            .filter((key) => this.targets[key].status === null)
+            .map((key) => key.split(':').map((element) => (element !== '' ? element : null)));
+    }
+
     /**
      * Returns `true` if all the transaction targets were hit. The completion status concerns only if all the
      * expected notifications were received, it doesn't offer information about the success of the request.
@@ -292,6 +446,32 @@ export class NetworkRequest {
             .reduce((result, status) => result && status, true);
     }
 
+    /**
+     * Returns the answered targets, split by the success of the response.
+     *
+     * @return {NetworkRequestReport}
+     */
+    getReport() {
+        const report = { successes: [], failures: [] };
+
+        Object.keys(this.targets).forEach((key) => {
+            const target = this.targets[key];
+            if (target.status === null) {
+                return;
+            }
+
+            (target.status ? report.successes : report.failures).push({
+                path: key.split(':').map((element) => (element !== '' ? element : null)),
+                code: target.code,
+                type: target.type,
+                notification: target.reason ?? null,
+                timestamp: target.timestamp,
+            });
+        });
+
+        return report;
+    }
+
     /**
      * Pushes a notification onto the list of notifications linked to a specific target `path`.
      *
@@ -303,9 +483,22 @@ export class NetworkRequest {
 
         this.transactionNotifications.push(notification.data);
 
-        this.targets[path.join(':')].reason = notification.data['NOTIFICATION'];
-        this.targets[path.join(':')].status =
-            notification.context.metadata.NOTIFICATION_TYPE !== NOTIFICATION_TYPE_EXCEPTION;
+        const target = this.targets[path.join(':')];
+        target.reason = notification.data['NOTIFICATION'];
+        target.code = notification.context.metadata.NOTIFICATION_CODE ?? null;
+        target.type = notification.context.metadata.NOTIFICATION_TYPE ?? null;
+        target.status = notification.context.metadata.NOTIFICATION_TYPE !== NOTIFICATION_TYPE_EXCEPTION;
+        target.timestamp = new Date().getTime();
+
+        this.progress.next({
+            requestId: this.id,
+            path: [...path],
+            status: target.status,
+            reason: target.reason ?? null,
+            timestamp: target.timestamp,
+            answered: Object.values(this.targets).filter((candidate) => candidate.status !== null).length,
+            total: Object.keys(this.targets).length,
+        });
 
         return this;
     }
@@ -322,6 +515,78 @@ export class NetworkRequest {
         return this;
     }
 
+    /**
+     * Marks the transaction as being followed through the node events (heartbeats, going offline) instead of the
+     * node notifications. Such transactions don't expect a first response, as the node may go away before answering.
+     *
+     * @return {NetworkRequest}
+     */
+    setNodeLevel() {
+        this.nodeLevel = true;
+
+        return this;
+    }
+
+    /**
+     * Returns `true` if the transaction is followed through the node events.
+     *
+     * @return {boolean}
+     */
+    isNodeLevel() {
+        return this.nodeLevel;
+    }
+
+    /**
+     * Records the time the request was published on the network. The node events received before sending are not
+     * answers to the request.
+     *
+     * @return {NetworkRequest}
+     */
+    markAsSent() {
+        this.sentAt = new Date().getTime();
+
+        return this;
+    }
+
+    /**
+     * Returns `true` if the request was published on the network.
+     *
+     * @return {boolean}
+     */
+    isSent() {
+        return this.sentAt !== null;
+    }
+
+    /**
+     * Processing function for the node events. The event has the same shape as a notification, with the
+     * `NOTIFICATION_CODE` set to one of the `NODE_EVENT_*` constants. Only node level transactions are interested in
+     * node events.
+     *
+     * @param {Object} event
+     */
+    processNodeEvent(event) {
+        if (
+            !this.isNodeLevel() ||
+            !this.isSent() ||
+            !this.watches(event.context.metadata.EE_PAYLOAD_PATH) ||
+            this.isClosed()
+        ) {
+            return;
+        }
+
+        this.strategy(event, this);
+    }
+
+    /**
+     * Records the `notification` as the response for its target.
+     *
+     * @param {Object} notification
+     * @return {NetworkRequest}
+     */
+    acknowledge(notification) {
+        return this.clearFirstResponseTimeout().updateTarget(notification);
+    }
+
     /**
      * Main processing function. All notifications should be routed through this method. When first notification is
      * received, the timeout for the first response is cleared.
@@ -341,6 +606,25 @@ export class NetworkRequest {
         this.strategy(message, this);
     }
 
+    /**
+     * Closes the transaction before its completion and fails it with the provided `error`. All the timers and the
+     * watches registered for this transaction are cleaned up.
+     *
+     * @param {*} error
+     * @return {NetworkRequest}
+     */
+    abort(error) {
+        if (this.isClosed()) {
+            return this;
+        }
+
+        this.clearFirstResponseTimeout().close();
+        this.nodeRequestsHandler.release(this);
+        this.onFail(error);
+
+        return this;
+    }
+
     /**
      * Sets the timeout ids for the two timeout callbacks.
      * - firstResponseTimeoutId is the callback id for the timer waiting for the first network response
@@ -359,13 +643,22 @@ export class NetworkRequest {
     }
 
     /**
-     * Trigger the timeout on the transaction.
+     * Triggers the timeout on the transaction, failing it with a `RequestTimeoutError` listing the watched paths that
+     * never answered.
+     *
+     * @param {string} phase
+     * @param {number} timeout
      */
-    timeout() {
-        this.close();
-        this.onFail({
-            message: 'FAKE TIMEOUT NOTIFICATION',
-        });
+    timeout(phase, timeout) {
+        if (this.isClosed()) {
+            return;
+        }
+
+        const pendingPaths = this.listPendingWatches();
+
+        this.clearFirstResponseTimeout().close();
+        this.nodeRequestsHandler.release(this);
+        this.onFail(new RequestTimeoutError(phase, pendingPaths, timeout, this.getReport()));
     }
 
     /**
@@ -397,22 +690,32 @@ export class NetworkRequest {
     }
 
     /**
-     * Attempt to resolve the transaction.
+     * Attempt to resolve the transaction. The transaction resolves with the received notifications, unless a
+     * `result` is provided.
+     *
+     * @param {*} result
      */
-    resolve() {
+    resolve(result = this.transactionNotifications) {
         if (this.isComplete() && this.canResolve()) {
             this.close();
-            this.onSuccess(this.transactionNotifications);
+            this.onSuccess(result);
         }
     }
 
     /**
-     * Attempt to reject the transaction.
+     * Attempt to reject the transaction. The transaction fails with a `NodeRejectedError` when all the targets
+     * failed, or with a `PartialFailureError` when some of them succeeded.
      */
     reject() {
         if (this.isComplete() && !this.canResolve()) {
+            const report = this.getReport();
+
             this.close();
-            this.onFail(this.transactionNotifications);
+            this.onFail(
+                report.successes.length > 0
+                    ? new PartialFailureError(report, this.transactionNotifications)
+                    : new NodeRejectedError(report, this.transactionNotifications),
+            );
         }
     }
 }
@@ -430,13 +733,64 @@ export class NetworkRequestsHandler {
     pendingRequests = {};
 
     /**
-     * The list of object transactions indexed by the notification `path`s targeted.
+     * The queues of open transactions indexed by the notification `path`s targeted, in the order they were created.
      *
-     * @type {Object}
+     * @type {Object.<string, Array<NetworkRequest>>}
      * @private
      */
     requestsIndexes = {};
 
+    /**
+     * Returns the notification paths to watch for following the completion of the `message` published for the
+     * `node`, along with the `extraWatches`, without duplicates.
+     *
+     * @param {string} node
+     * @param {Object} message
+     * @param {Array<Array<string|null>>} extraWatches
+     * @return {Array<Array<string|null>>}
+     */
+    static computeWatches(node, message, extraWatches = []) {
+        const watches = [...extraWatches];
+
+        switch (message['ACTION']) {
+            case NODE_COMMAND_UPDATE_PIPELINE_INSTANCE:
+                watches.push([
+                    node,
+                    message['PAYLOAD']['NAME'],
+                    message['PAYLOAD']['SIGNATURE'],
+                    message['PAYLOAD']['INSTANCE_ID'],
+                ]);
+                break;
+            case NODE_COMMAND_UPDATE_CONFIG:
+            case NODE_COMMAND_PIPELINE_COMMAND:
+                watches.push([node, message['PAYLOAD']['NAME'], null, null]);
+                break;
+            case NODE_COMMAND_ARCHIVE_CONFIG:
+                watches.push([node, message['PAYLOAD'], null, null]);
+                break;
+            case NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE:
+                message['PAYLOAD'].forEach((updateInstanceCommand) => {
+                    watches.push([
+                        node,
+                        updateInstanceCommand['NAME'],
+                        updateInstanceCommand['SIGNATURE'],
+                        updateInstanceCommand['INSTANCE_ID'],
+                    ]);
+                });
+                break;
+            case NODE_COMMAND_FULL_HEARTBEAT:
+            case NODE_COMMAND_RESTART:
+            case NODE_COMMAND_STOP:
+            case NODE_COMMAND_TIMERS_ONLY_HEARTBEAT:
+                watches.push([node, null, null, null]);
+                break;
+        }
+
+        return watches.filter(
+            (watch, index) => watches.findIndex((candidate) => candidate.join(':') === watch.join(':')) === index,
+        );
+    }
+
     /**
      * Creates a new transaction handling the message publishing for a network node.
      *
@@ -460,6 +814,18 @@ export class NetworkRequestsHandler {
             case NODE_COMMAND_ARCHIVE_CONFIG:
                 request.setProcessingStrategy(archiveConfigRequestStrategy);
                 break;
+            case NODE_COMMAND_FULL_HEARTBEAT:
+                request.setProcessingStrategy(fullHeartbeatRequestStrategy).setNodeLevel();
+                break;
+            case NODE_COMMAND_TIMERS_ONLY_HEARTBEAT:
+                request.setProcessingStrategy(heartbeatRequestStrategy).setNodeLevel();
+                break;
+            case NODE_COMMAND_RESTART:
+                request.setProcessingStrategy(makeRestartRequestStrategy()).setNodeLevel();
+                break;
+            case NODE_COMMAND_STOP:
+                request.setProcessingStrategy(stopRequestStrategy).setNodeLevel();
+                break;
         }
 
         this.pendingRequests[request.getId()] = request;
@@ -468,46 +834,101 @@ export class NetworkRequestsHandler {
     }
 
     /**
-     * Indexes the transaction `request` by the specified notification `path` to watch for.
+     * Indexes the transaction `request` by the specified notification `path` to watch for. Several transactions can
+     * watch the same `path`.
      *
      * @param {string[]} path
      * @param {NetworkRequest} request
      * @return {NetworkRequestsHandler}
      */
     index(path, request) {
-        this.requestsIndexes[path.join(':')] = request; // should maybe prefix session_id
+        const key = path.join(':');
+        if (!this.requestsIndexes[key]) {
+            this.requestsIndexes[key] = [];
+        }
+
+        this.requestsIndexes[key].push(request);
 
         return this;
     }
 
     /**
-     * Retrieves the transaction handler watching for the supplied `path`.
+     * Retrieves the transaction handler watching for the supplied `path`. The transaction is identified by the
+     * `sessionId` echoed by the node, an unknown session belonging to another initiator. Only when the session is
+     * missing, the oldest transaction still waiting for a response on the `path` is returned.
      *
      * @param {string[]} path
+     * @param {string|null} sessionId
      * @return {NetworkRequest|null}
      */
-    find(path) {
-        return this.requestsIndexes[path.join(':')] ?? null;
+    find(path, sessionId = null) {
+        const queue = this.requestsIndexes[path.join(':')] ?? [];
+
+        if (sessionId) {
+            return queue.find((candidate) => candidate.getId() === sessionId) ?? null;
+        }
+
+        return queue.find((candidate) => candidate.isWaitingFor(path)) ?? null;
+    }
+
+    /**
+     * Retrieves all the transactions watching for the supplied `path`, in the order they were created.
+     *
+     * @param {string[]} path
+     * @return {Array<NetworkRequest>}
+     */
+    findAll(path) {
+        return [...(this.requestsIndexes[path.join(':')] ?? [])];
     }
 
     /**
-     * Cleans up the transaction handler related to the supplied `path`.
+     * Removes the transaction from the list of open transactions, along with all the indexes pointing to it.
+     *
+     * @param {NetworkRequest} request
+     * @return {NetworkRequestsHandler}
+     */
+    release(request) {
+        Object.keys(this.requestsIndexes).forEach((key) => {
+            this.requestsIndexes[key] = this.requestsIndexes[key].filter((candidate) => candidate !== request);
+            if (this.requestsIndexes[key].length === 0) {
+                delete this.requestsIndexes[key];
+            }
+        });
+        delete this.pendingRequests[request.getId()];
+
+        return this;
+    }
+
+    /**
+     * Aborts all the open transactions with the error built by `createError` from each transaction report.
+     *
+     * @param {function(NetworkRequestReport): *} createError
+     * @return {NetworkRequestsHandler}
+     */
+    abortAll(createError) {
+        Object.keys(this.pendingRequests).forEach((id) => {
+            const request = this.pendingRequests[id];
+
+            request.abort(createError(request.getReport()));
+        });
+
+        return this;
+    }
+
+    /**
+     * Cleans up the transaction handler related to the supplied `path` and `sessionId`.
      *
      * @param {string[]} path
+     * @param {string|null} sessionId
      * @return {NetworkRequestsHandler}
      */
-    destroy(path) {
-        const request = this.find(path);
+    destroy(path, sessionId = null) {
+        const request = this.find(path, sessionId);
         if (!request) {
             // already closed.
             return this;
         }
 
-        request.listWatches().forEach((watch) => {
-            delete this.requestsIndexes[watch.join(':')];
-        });
-        delete this.pendingRequests[request.id];
-
-        return this;
+        return this.release(request);
     }
 }
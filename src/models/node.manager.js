@@ -1,19 +1,118 @@
-import { generateId } from '../helper.functions.js';
+import EventEmitter2 from 'eventemitter2';
+import stringify from 'json-stable-stringify';
+import { describeDifferences, generateId } from '../helper.functions.js';
 import { Pipeline } from './pipeline.js';
+import { NetworkRequestsHandler } from './network.requests.handler.js';
 import {
     NODE_COMMAND_ARCHIVE_CONFIG,
     NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
+    NODE_COMMAND_FULL_HEARTBEAT,
+    NODE_COMMAND_RESTART,
+    NODE_COMMAND_STOP,
+    NODE_COMMAND_TIMERS_ONLY_HEARTBEAT,
     NODE_COMMAND_UPDATE_CONFIG,
     NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+    ZxAI_NODE_MANAGER_CONFLICT,
 } from '../constants.js';
 import { PluginInstance } from './plugin.instance.js';
+import { CommitRolledBackError, NodeRejectedError } from '../errors.js';
+
+/**
+ * @typedef {Object} NodeManagerConflict
+ * @property {string} node the managed node
+ * @property {string} pipeline the pipeline affected by the remote change
+ * @property {string|null} instance the instance affected by the remote change, `null` for pipeline level changes
+ * @property {Object|null} remote the remote config, `null` if the pipeline or instance was removed remotely
+ */
+
+/**
+ * @typedef {NetworkRequestProgress & {action: string, pipelines: Array<string>}} CommitProgress
+ */
+
+/**
+ * @typedef {Object} CommitOptionsExtension
+ * @property {boolean} [transactional] roll back the applied pipelines if any of the commands fails
+ * @property {function(CommitProgress)|Observer<CommitProgress>} [onProgress] subscriber for the responses received
+ * for each watched target, stamped with the `action` and the `pipelines` of the command they answer
+ */
+
+/**
+ * @typedef {PublishOptions & CommitOptionsExtension} CommitOptions
+ */
+
+/**
+ * @typedef {Object} NodeManagerPlanStep
+ * @property {string} action the command that would be published
+ * @property {*} payload the command payload
+ * @property {Array<Array<string|null>>} watches the notification paths that would be watched
+ * @property {Array<string>} diff the changes against the running config, one per line
+ */
+
+/**
+ * Returns the instance configs of a pipeline in the `UPDATE_CONFIG` format, indexed by `pipeline/signature/instance`.
+ *
+ * @param {Object|null} pipelineConfig
+ * @return {Object.<string, Object>}
+ */
+const indexInstances = (pipelineConfig) => {
+    const instances = {};
+
+    (pipelineConfig?.PLUGINS ?? []).forEach((plugin) => {
+        plugin.INSTANCES.forEach((instanceConfig) => {
+            const config = { ...instanceConfig };
+            delete config['INSTANCE_ID'];
+
+            instances[`${pipelineConfig.NAME}/${plugin.SIGNATURE}/${instanceConfig.INSTANCE_ID}`] = config;
+        });
+    });
+
+    return instances;
+};
+
+/**
+ * Describes the changes between the `running` pipeline config and the `candidate` one, both in the `UPDATE_CONFIG`
+ * format. A `null` running config stands for a new pipeline.
+ *
+ * @param {Object|null} running
+ * @param {Object} candidate
+ * @return {Array<string>}
+ */
+const describePipelineChanges = (running, candidate) => {
+    const dctConfig = (pipelineConfig) => {
+        const config = { ...pipelineConfig };
+        delete config['PLUGINS'];
+        delete config['INITIATOR_ID'];
+
+        return config;
+    };
+
+    const lines = running ? [] : [`+ pipeline ${candidate.NAME}`];
+    lines.push(...describeDifferences(dctConfig(running ?? {}), dctConfig(candidate), candidate.NAME));
+
+    const runningInstances = indexInstances(running);
+    const candidateInstances = indexInstances(candidate);
+    Object.keys(candidateInstances).forEach((label) => {
+        if (!runningInstances[label]) {
+            lines.push(`+ instance ${label}`);
+        }
+
+        lines.push(...describeDifferences(runningInstances[label] ?? {}, candidateInstances[label], label));
+    });
+    Object.keys(runningInstances)
+        .filter((label) => !candidateInstances[label])
+        .forEach((label) => lines.push(`- instance ${label}`));
+
+    return lines;
+};
 
 /**
  * @class NodeManager
  *
- * The manager for all the node operations.
+ * The manager for all the node operations. The managed pipelines are kept in sync with the heartbeats received from
+ * the node. Uncommitted local changes are never overwritten, remote changes conflicting with them are reported through
+ * the `ZxAI_NODE_MANAGER_CONFLICT` event.
  */
-export class NodeManager {
+export class NodeManager extends EventEmitter2 {
     /**
      * The network client reference.
      *
@@ -54,6 +153,31 @@ export class NodeManager {
      */
     pipelinesMarkedForClosing = [];
 
+    /**
+     * The serialized pipeline and instance configs, as reflected by the last processed heartbeat. Used for telling
+     * apart the remote changes from the local ones.
+     *
+     * @type {Object.<string, {config: string, instances: Object.<string, string>}>}
+     * @private
+     */
+    remoteSnapshot = {};
+
+    /**
+     * The listener registered for the state updates.
+     *
+     * @type {function}
+     * @private
+     */
+    stateUpdateListener;
+
+    /**
+     * Flag signaling that this manager was disposed of.
+     *
+     * @type {boolean}
+     * @private
+     */
+    disposed = false;
+
     /**
      * The NodeManager constructor.
      *
@@ -64,13 +188,18 @@ export class NodeManager {
      * @private
      */
     constructor(client, node, logger) {
+        super();
+
         this.client = client;
         this.node = node;
         this.logger = logger;
 
-        this.client.state.on('state.update', (update) => {
-            this._updateState(update);
-        });
+        this.stateUpdateListener = (update, node) => {
+            if (node === this.node) {
+                this._updateState(update);
+            }
+        };
+        this.client.state.on('state.update', this.stateUpdateListener);
     }
 
     /**
@@ -85,6 +214,43 @@ export class NodeManager {
         return new NodeManager(client, node, logger);
     }
 
+    /**
+     * Returns the node this manager is attached to.
+     *
+     * @return {string}
+     */
+    getNode() {
+        return this.node;
+    }
+
+    /**
+     * Returns `true` if this manager was disposed of.
+     *
+     * @return {boolean}
+     */
+    isDisposed() {
+        return this.disposed;
+    }
+
+    /**
+     * Stops tracking the node state and removes this manager from the client registry. Any uncommitted changes are
+     * discarded.
+     *
+     * @return {NodeManager}
+     */
+    dispose() {
+        if (this.disposed) {
+            return this;
+        }
+
+        this.disposed = true;
+        this.client.state.off('state.update', this.stateUpdateListener);
+        this.client.releaseNodeManager?.(this);
+        this.removeAllListeners();
+
+        return this;
+    }
+
     /**
      * Static method that pushes a PluginInstance to a Pipeline. If the `nowatch` flag is set to true, this operation
      * will not automatically append a watch on this instance in the next network request. This behavior is needed when
@@ -168,52 +334,52 @@ export class NodeManager {
     }
 
     /**
-     * Sends a request to restart the node.
+     * Sends a request to restart the node. Resolves with the first heartbeat received after the node comes back.
      *
      * @return {Promise<Object>}
      */
     async restartEdgeNode() {
         const message = {
-            ACTION: 'RESTART',
+            ACTION: NODE_COMMAND_RESTART,
         };
 
         return this.client.publish(this.node, message);
     }
 
     /**
-     * Sends a request to stop the node.
+     * Sends a request to stop the node. Resolves when the node's heartbeats cease.
      *
      * @return {Promise<Object>}
      */
     async shutdownEdgeNode() {
         const message = {
-            ACTION: 'STOP',
+            ACTION: NODE_COMMAND_STOP,
         };
 
         return this.client.publish(this.node, message);
     }
 
     /**
-     * Sends a heartbeat request to the node.
+     * Sends a heartbeat request to the node. Resolves with the heartbeat received.
      *
      * @return {Promise<Object>}
      */
     async getHeartbeatFromEdgeNode() {
         const message = {
-            ACTION: 'TIMERS_ONLY_HEARTBEAT',
+            ACTION: NODE_COMMAND_TIMERS_ONLY_HEARTBEAT,
         };
 
         return this.client.publish(this.node, message);
     }
 
     /**
-     * Sends a request for a detailed heartbeat to the node.
+     * Sends a request for a detailed heartbeat to the node. Resolves with the heartbeat received.
      *
      * @return {Promise<Object>}
      */
     async getFullHeartbeatFromEdgeNode() {
         const message = {
-            ACTION: 'FULL_HEARTBEAT',
+            ACTION: NODE_COMMAND_FULL_HEARTBEAT,
         };
 
         return this.client.publish(this.node, message);
@@ -302,6 +468,9 @@ export class NodeManager {
      */
     getPipelines() {
         if (this.pipelines.length === 0) {
+            this.remoteSnapshot = NodeManager._snapshotPipelines(
+                this.client.state.getNodeInfo(this.node)?.data?.pipelines,
+            );
             this.pipelines = this._getRunningPipelines();
         }
 
@@ -599,12 +768,98 @@ export class NodeManager {
 
     // TODO: instance watches should be handled here
     /**
-     * Commits the changes registered for the node.
+     * Commits the changes registered for the node. All the published requests are cancelled when the `signal`
+     * option is aborted. In `transactional` mode, a failed commit restores the pipelines already applied on the node
+     * to their previous configs and is rejected with a `CommitRolledBackError` describing the rollback. The progress of
+     * all the published commands is reported to the single `onProgress` subscriber, each event naming its command.
      *
+     * @param {CommitOptions} options
      * @return {Promise<Array<Object>>}
      */
-    async commit() {
+    async commit(options = {}) {
         const runningPipelines = this._getRunningPipelines();
+        const snapshot = options.transactional ? this._snapshotRunningPipelines(runningPipelines) : {};
+
+        const commands = (await this._compileCommands(runningPipelines)).map((command) => {
+            if (command.action !== NODE_COMMAND_ARCHIVE_CONFIG) {
+                this.pipelines
+                    .filter((pipeline) => command.pipelines.includes(pipeline.id))
+                    .forEach((pipeline) => pipeline.removeAllInstanceWatches());
+            }
+
+            const published = { pipelines: command.pipelines, sent: false, request: null };
+            const publishOptions = { ...options };
+            if (options.onProgress) {
+                const onProgress = options.onProgress;
+                publishOptions.onProgress = (progress) => {
+                    const stamped = { ...progress, action: command.action, pipelines: command.pipelines };
+
+                    return typeof onProgress === 'function' ? onProgress(stamped) : onProgress.next?.(stamped);
+                };
+            }
+
+            if (options.transactional) {
+                // the rollback needs to know which commands reached the node
+                publishOptions.onSent = () => {
+                    published.sent = true;
+                    options.onSent?.();
+                };
+            }
+
+            published.request = this.client.publish(
+                this.node,
+                { ACTION: command.action, PAYLOAD: command.payload },
+                command.watches,
+                publishOptions,
+            );
+
+            return published;
+        });
+
+        if (options.transactional) {
+            return this._commitTransaction(commands, snapshot, options);
+        }
+
+        return Promise.all(commands.map((command) => command.request)).then((responses) => {
+            this._markAsCommitted();
+
+            return responses;
+        });
+    }
+
+    /**
+     * Returns the commands a `commit()` would publish, in order, without publishing anything. Each step lists the
+     * payload, the notification paths that would be watched and the changes against the configs running on the node,
+     * as reflected by the last heartbeat.
+     *
+     * @return {Promise<Array<NodeManagerPlanStep>>}
+     */
+    async plan() {
+        const runningPipelines = this._getRunningPipelines();
+        const snapshot = this._snapshotRunningPipelines(runningPipelines);
+
+        return (await this._compileCommands(runningPipelines)).map((command) => ({
+            action: command.action,
+            payload: command.payload,
+            watches: NetworkRequestsHandler.computeWatches(
+                this.node,
+                { ACTION: command.action, PAYLOAD: command.payload },
+                command.watches,
+            ),
+            diff: this._describeCommand(command, snapshot),
+        }));
+    }
+
+    /**
+     * Compiles the commands needed for applying the local changes on the node, in the order they are published.
+     * Instance updates on the running pipelines are batched together, followed by the config updates for the new or
+     * modified pipelines and the archive commands for the closed ones.
+     *
+     * @param {Array<Pipeline>} runningPipelines
+     * @return {Promise<Array<{action: string, payload: *, watches: Array<Array<string|null>>, pipelines: Array<string>}>>}
+     * @private
+     */
+    async _compileCommands(runningPipelines) {
         const messages = {};
 
         for (const pipeline of this.pipelines) {
@@ -625,7 +880,6 @@ export class NodeManager {
                     payload: NodeManager.compilePipelineUpdateConfig(pipeline),
                     watches: [...pipeline.getInstanceWatches()],
                 });
-                pipeline.removeAllInstanceWatches();
             } else {
                 // some of the instances may have been reconfigured
                 const changeSet = await NodeManager.compilePipelineBatchUpdateInstances(pipeline);
@@ -638,7 +892,6 @@ export class NodeManager {
                         payload: changeSet,
                         watches: [...pipeline.getInstanceWatches()],
                     });
-                    pipeline.removeAllInstanceWatches();
                 }
             }
         }
@@ -676,62 +929,344 @@ export class NodeManager {
                 payload = payload[0];
             }
 
-            const message = {
-                ACTION: action,
-                PAYLOAD: payload,
-            };
-
-            commands.push(this.client.publish(this.node, message, batchUpdates.watches));
+            commands.push({
+                action,
+                payload,
+                watches: batchUpdates.watches,
+                pipelines: [...new Set(batchUpdates.payload.map((update) => update.NAME))],
+            });
         }
 
         if (messages[NODE_COMMAND_UPDATE_CONFIG] && messages[NODE_COMMAND_UPDATE_CONFIG].length > 0) {
             messages[NODE_COMMAND_UPDATE_CONFIG].forEach((command) => {
-                const message = {
-                    ACTION: NODE_COMMAND_UPDATE_CONFIG,
-                    PAYLOAD: command.payload,
-                };
-
-                commands.push(this.client.publish(this.node, message, command.watches));
+                commands.push({
+                    action: NODE_COMMAND_UPDATE_CONFIG,
+                    payload: command.payload,
+                    watches: command.watches,
+                    pipelines: [command.payload.NAME],
+                });
             });
         }
 
         if (messages[NODE_COMMAND_ARCHIVE_CONFIG] && messages[NODE_COMMAND_ARCHIVE_CONFIG].length > 0) {
             messages[NODE_COMMAND_ARCHIVE_CONFIG].forEach((command) => {
-                const message = {
-                    ACTION: NODE_COMMAND_ARCHIVE_CONFIG,
-                    PAYLOAD: command.payload,
-                };
-
-                commands.push(this.client.publish(this.node, message));
+                commands.push({
+                    action: NODE_COMMAND_ARCHIVE_CONFIG,
+                    payload: command.payload,
+                    watches: [],
+                    pipelines: [command.payload],
+                });
             });
         }
 
-        return Promise.all(commands);
+        return commands;
+    }
+
+    /**
+     * Describes the changes a compiled command applies on the running configs from the `snapshot`.
+     *
+     * @param {{action: string, payload: *}} command
+     * @param {Object.<string, Object>} snapshot
+     * @return {Array<string>}
+     * @private
+     */
+    _describeCommand(command, snapshot) {
+        switch (command.action) {
+            case NODE_COMMAND_UPDATE_CONFIG:
+                return describePipelineChanges(snapshot[command.payload.NAME] ?? null, command.payload);
+            case NODE_COMMAND_ARCHIVE_CONFIG:
+                return [`- pipeline ${command.payload}`];
+            default: {
+                const updates = Array.isArray(command.payload) ? command.payload : [command.payload];
+
+                return updates.flatMap((update) => {
+                    const running = indexInstances(snapshot[update.NAME] ?? null);
+                    const label = `${update.NAME}/${update.SIGNATURE}/${update.INSTANCE_ID}`;
+
+                    return describeDifferences(running[label] ?? {}, update.INSTANCE_CONFIG, label, false);
+                });
+            }
+        }
+    }
+
+    /**
+     * Waits for all the commit requests to settle. If any of them failed, the pipelines that were applied on the
+     * node, fully or partially, are restored to the configs in the `snapshot` taken before committing. Pipelines
+     * missing from the snapshot were created by the commit and are archived. The commands that failed after being sent
+     * without the node rejecting them, by timing out, being aborted or by the client disconnecting, may have been
+     * applied without being acknowledged, so their pipelines are restored as well.
+     *
+     * @param {Array<{pipelines: Array<string>, sent: boolean, request: Promise}>} commands
+     * @param {Object.<string, Object>} snapshot
+     * @param {CommitOptions} options
+     * @return {Promise<Array<Object>>}
+     * @private
+     */
+    async _commitTransaction(commands, snapshot, options) {
+        const results = await Promise.allSettled(commands.map((command) => command.request));
+        const errors = results.filter((result) => result.status === 'rejected').map((result) => result.reason);
+
+        if (errors.length === 0) {
+            this._markAsCommitted();
+
+            return results.map((result) => result.value);
+        }
+
+        const applied = new Set();
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled' || NodeManager._mayHaveBeenApplied(commands[index], result.reason)) {
+                commands[index].pipelines.forEach((pipelineId) => applied.add(pipelineId));
+            } else {
+                (result.reason?.successes ?? []).forEach((target) => applied.add(target.path[1]));
+            }
+        });
+
+        // the rollback must go through even if the commit was aborted
+        const rollbackOptions = { timeouts: options.timeouts };
+        const rollback = await Promise.all(
+            [...applied].map(async (pipelineId) => {
+                const message = snapshot[pipelineId]
+                    ? { ACTION: NODE_COMMAND_UPDATE_CONFIG, PAYLOAD: snapshot[pipelineId] }
+                    : { ACTION: NODE_COMMAND_ARCHIVE_CONFIG, PAYLOAD: pipelineId };
+
+                try {
+                    await this.client.publish(this.node, message, [], rollbackOptions);
+
+                    return { pipeline: pipelineId, action: message.ACTION, error: null };
+                } catch (error) {
+                    return { pipeline: pipelineId, action: message.ACTION, error };
+                }
+            }),
+        );
+
+        const error = new CommitRolledBackError(errors, rollback);
+        this.logger.warn(`Commit on ${this.node} failed. ${error.message}`);
+
+        throw error;
+    }
+
+    /**
+     * Checks if a failed commit command may have been applied on the node. Once sent, only a rejection answered by the
+     * node tells which targets were not applied, any other failure leaves the outcome unknown.
+     *
+     * @param {{sent: boolean}} command
+     * @param {*} error
+     * @return {boolean}
+     * @private
+     */
+    static _mayHaveBeenApplied(command, error) {
+        return command.sent && !(error instanceof NodeRejectedError);
+    }
+
+    /**
+     * Returns the configs of the pipelines running on the node, in the `UPDATE_CONFIG` format, indexed by id.
+     *
+     * @param {Array<Pipeline>} runningPipelines
+     * @return {Object.<string, Object>}
+     * @private
+     */
+    _snapshotRunningPipelines(runningPipelines) {
+        return runningPipelines.reduce((snapshot, pipeline) => {
+            snapshot[pipeline.id] = this.client.state.getRunningPipelineSnapshot(this.node, pipeline.id);
+
+            return snapshot;
+        }, {});
     }
 
+    /**
+     * Merges the node state received with a heartbeat into the managed pipelines. Pipelines and instances without
+     * local changes are updated in place, new remote ones are added and the ones removed remotely are dropped.
+     *
+     * @param {Object} nodeState
+     * @private
+     */
     _updateState(nodeState) {
-        return;
+        const remotePipelines = nodeState?.pipelines ?? {};
+        const previous = this.remoteSnapshot;
+        const current = NodeManager._snapshotPipelines(remotePipelines);
 
-        const client = this.client;
-        const node = this.node;
+        Object.keys(remotePipelines).forEach((pipelineId) => {
+            const remote = Pipeline.make(this.client, this.node, remotePipelines[pipelineId], this.client.schemas);
+            const local = this.pipelines.find((pipeline) => pipeline.id === pipelineId) ?? null;
 
-        const parsedPipelines = Object.keys(nodeState.pipelines).length > 0
-            ? Object.keys(nodeState.pipelines).map((pipelineId) => {
-                const pipelineConfig = nodeState.pipelines[pipelineId];
+            if (!local) {
+                this.pipelines.push(remote);
 
-                return Pipeline.make(client, node, pipelineConfig, client.schemas);
-            })
-            : [];
+                return;
+            }
+
+            this._mergePipeline(local, remote, previous[pipelineId] ?? null, current[pipelineId]);
+        });
+
+        this.pipelines = this.pipelines.filter((local) => {
+            if (current[local.id] !== undefined || previous[local.id] === undefined) {
+                // still running or created locally and not yet deployed
+                return true;
+            }
+
+            if (this.pipelinesMarkedForClosing.includes(local.id)) {
+                this.pipelinesMarkedForClosing = this.pipelinesMarkedForClosing.filter((id) => id !== local.id);
+
+                return false;
+            }
+
+            if (this._hasLocalChanges(local)) {
+                this._reportConflict(local.id, null, null);
+
+                return true;
+            }
 
-        // for (const pipeline of this.pipelines) {
-        //     if (!pipeline.isDirty) {
-        //         continue;
-        //     }
-        //
-        //
-        // }
+            return false;
+        });
+
+        this.remoteSnapshot = current;
+    }
+
+    /**
+     * Merges a pipeline model built from the heartbeat into the local one.
+     *
+     * @param {Pipeline} local
+     * @param {Pipeline} remote
+     * @param {{config: string, instances: Object.<string, string>}|null} previous
+     * @param {{config: string, instances: Object.<string, string>}} current
+     * @private
+     */
+    _mergePipeline(local, remote, previous, current) {
+        const localDct = local.getDataCaptureThread();
+        const remoteDct = remote.getDataCaptureThread();
+
+        if (!localDct.isDirty) {
+            localDct.config = remoteDct.config;
+            local.initiator = remote.initiator;
+        } else if (previous?.config !== current.config && stringify(localDct.config) !== stringify(remoteDct.config)) {
+            this._reportConflict(local.id, null, remoteDct.config);
+        }
+        localDct.setStats(remoteDct.stats);
+
+        const wasDirty = local.isDirty;
+        remote.instances.forEach((remoteInstance) => {
+            const localInstance = local.instances.find((instance) => instance.id === remoteInstance.id) ?? null;
+            const previousConfig = previous?.instances[remoteInstance.id];
+            const remoteChanged = previousConfig !== current.instances[remoteInstance.id];
+
+            if (!localInstance) {
+                if (previousConfig === undefined) {
+                    NodeManager.attachPluginInstanceToPipeline(local, remoteInstance, true);
+                } else if (remoteChanged) {
+                    // removed locally, but reconfigured remotely
+                    this._reportConflict(local.id, remoteInstance.id, remoteInstance.config);
+                }
+
+                return;
+            }
+
+            if (!localInstance.isDirty) {
+                localInstance.config = remoteInstance.config;
+                localInstance.tags = remoteInstance.tags;
+                localInstance.schedule = remoteInstance.schedule;
+                localInstance.scheduleTimezone = remoteInstance.scheduleTimezone;
+            } else if (remoteChanged && stringify(localInstance.config) !== stringify(remoteInstance.config)) {
+                this._reportConflict(local.id, localInstance.id, remoteInstance.config);
+            }
+            localInstance.updateStats(remoteInstance.stats);
+        });
+        local.isDirty = wasDirty;
+
+        local.instances = local.instances.filter((localInstance) => {
+            if (current.instances[localInstance.id] !== undefined || previous?.instances[localInstance.id] === undefined) {
+                return true;
+            }
+
+            if (localInstance.isDirty) {
+                this._reportConflict(local.id, localInstance.id, null);
+
+                return true;
+            }
+
+            return false;
+        });
+    }
+
+    /**
+     * Returns `true` if the pipeline has changes that were not committed yet.
+     *
+     * @param {Pipeline} pipeline
+     * @return {boolean}
+     * @private
+     */
+    _hasLocalChanges(pipeline) {
+        return (
+            pipeline.isDirty ||
+            pipeline.getDataCaptureThread().isDirty ||
+            pipeline.instances.some((instance) => instance.isDirty)
+        );
+    }
+
+    /**
+     * Clears the local changes flags after a successful commit and drops the closed pipelines.
+     *
+     * @private
+     */
+    _markAsCommitted() {
+        this.pipelines = this.pipelines.filter((pipeline) => !this.pipelinesMarkedForClosing.includes(pipeline.id));
+        this.pipelinesMarkedForClosing = [];
+
+        this.pipelines.forEach((pipeline) => {
+            pipeline.isDirty = false;
+            pipeline.getDataCaptureThread().isDirty = false;
+            pipeline.instances.forEach((instance) => {
+                instance.isDirty = false;
+            });
+        });
+    }
+
+    /**
+     * Emits the `ZxAI_NODE_MANAGER_CONFLICT` event for a remote change that could not be applied because of
+     * uncommitted local changes.
+     *
+     * @param {string} pipeline
+     * @param {string|null} instance
+     * @param {Object|null} remote
+     * @private
+     */
+    _reportConflict(pipeline, instance, remote) {
+        this.logger.warn(`Remote changes on ${this.node}:${pipeline} conflict with uncommitted local changes.`);
+
+        /** @type {NodeManagerConflict} */
+        const conflict = {
+            node: this.node,
+            pipeline,
+            instance,
+            remote,
+        };
+
+        this.emit(ZxAI_NODE_MANAGER_CONFLICT, conflict);
+    }
+
+    /**
+     * Serializes the pipeline and instance configs from the node state for later comparison.
+     *
+     * @param {Object} pipelines
+     * @return {Object.<string, {config: string, instances: Object.<string, string>}>}
+     * @private
+     */
+    static _snapshotPipelines(pipelines = {}) {
+        const snapshot = {};
+        Object.keys(pipelines ?? {}).forEach((pipelineId) => {
+            const instances = {};
+            Object.values(pipelines[pipelineId].plugins ?? {}).forEach((signatureInstances) => {
+                Object.keys(signatureInstances).forEach((instanceId) => {
+                    instances[instanceId] = stringify(signatureInstances[instanceId].config);
+                });
+            });
+
+            snapshot[pipelineId] = {
+                config: stringify(pipelines[pipelineId].config),
+                instances,
+            };
+        });
 
-        this.pipelines = parsedPipelines;
+        return snapshot;
     }
 
     /**
@@ -0,0 +1,156 @@
+import EventEmitter2 from 'eventemitter2';
+import {
+    DEFAULT_HEARTBEAT_INTERVAL,
+    MISSED_HEARTBEATS_BEFORE_OFFLINE,
+    SECOND,
+    ZxAI_ENGINE_OFFLINE,
+    ZxAI_ENGINE_ONLINE,
+    ZxAI_ENGINE_REGISTERED,
+    ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+} from '../constants.js';
+
+/**
+ * @typedef {Object} NodeStatus
+ * @property {boolean} online Whether the node is considered online
+ * @property {number|null} lastSeen The timestamp of the last received heartbeat
+ * @property {number} heartbeatInterval The heartbeat interval advertised by the node, in milliseconds
+ */
+
+/**
+ * @class NodeStatusTracker
+ *
+ * Keeps track of the liveness of the network nodes based on the heartbeats they send. A node is considered offline
+ * after missing a number of consecutive heartbeats, computed using the interval advertised in `EE_HB_TIME`. The
+ * tracker emits `ZxAI_ENGINE_REGISTERED`, `ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE`, `ZxAI_ENGINE_ONLINE` and
+ * `ZxAI_ENGINE_OFFLINE` events.
+ */
+export class NodeStatusTracker extends EventEmitter2 {
+    /**
+     * The statuses of all the witnessed nodes.
+     *
+     * @type {Object.<string, NodeStatus>}
+     * @private
+     */
+    nodes = {};
+
+    /**
+     * Handlers for the offline detection timers.
+     *
+     * @type {Object.<string, number>}
+     * @private
+     */
+    timeoutIds = {};
+
+    /**
+     * The number of heartbeats a node can miss before being considered offline.
+     *
+     * @type {number}
+     * @private
+     */
+    missedHeartbeats;
+
+    /**
+     * The NodeStatusTracker constructor.
+     *
+     * @param {number} missedHeartbeats
+     */
+    constructor(missedHeartbeats = MISSED_HEARTBEATS_BEFORE_OFFLINE) {
+        super();
+        this.missedHeartbeats = missedHeartbeats;
+    }
+
+    /**
+     * Registers a heartbeat received from the `node`. The `heartbeatTime` is the interval between heartbeats, in
+     * seconds, as advertised in `EE_HB_TIME`.
+     *
+     * @param {string} node
+     * @param {number|null} heartbeatTime
+     * @param {number} timestamp
+     * @return {NodeStatusTracker}
+     */
+    heartbeat(node, heartbeatTime = null, timestamp = new Date().getTime()) {
+        if (!this.nodes[node]) {
+            this.nodes[node] = {
+                online: false,
+                lastSeen: null,
+                heartbeatInterval: DEFAULT_HEARTBEAT_INTERVAL,
+            };
+
+            this.emit(ZxAI_ENGINE_REGISTERED, { node, timestamp });
+        }
+
+        const status = this.nodes[node];
+        status.lastSeen = timestamp;
+        if (heartbeatTime) {
+            status.heartbeatInterval = heartbeatTime * SECOND;
+        }
+
+        this.emit(ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE, { node, timestamp });
+
+        if (!status.online) {
+            status.online = true;
+            this.emit(ZxAI_ENGINE_ONLINE, { node, timestamp });
+        }
+
+        this._scheduleOfflineCheck(node);
+
+        return this;
+    }
+
+    /**
+     * Returns `true` if the node's heartbeats are received at the advertised interval.
+     *
+     * @param {string} node
+     * @return {boolean}
+     */
+    isOnline(node) {
+        return this.nodes[node]?.online === true;
+    }
+
+    /**
+     * Returns the status of all the witnessed nodes.
+     *
+     * @return {Object.<string, NodeStatus>}
+     */
+    getStatus() {
+        return Object.keys(this.nodes).reduce((statuses, node) => {
+            statuses[node] = { ...this.nodes[node] };
+
+            return statuses;
+        }, {});
+    }
+
+    /**
+     * Stops all the offline detection timers.
+     *
+     * @return {NodeStatusTracker}
+     */
+    stop() {
+        Object.keys(this.timeoutIds).forEach((node) => {
+            clearTimeout(this.timeoutIds[node]);
+        });
+        this.timeoutIds = {};
+
+        return this;
+    }
+
+    /**
+     * Restarts the timer that marks the `node` as offline when no heartbeat is received in time.
+     *
+     * @param {string} node
+     * @private
+     */
+    _scheduleOfflineCheck(node) {
+        if (this.timeoutIds[node] !== undefined) {
+            clearTimeout(this.timeoutIds[node]);
+        }
+
+        this.timeoutIds[node] = setTimeout(() => {
+            delete this.timeoutIds[node];
+
+            const status = this.nodes[node];
+            status.online = false;
+            this.emit(ZxAI_ENGINE_OFFLINE, { node, timestamp: new Date().getTime(), lastSeen: status.lastSeen });
+        }, this.nodes[node].heartbeatInterval * this.missedHeartbeats);
+    }
+}
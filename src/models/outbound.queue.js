@@ -0,0 +1,178 @@
+import EventEmitter2 from 'eventemitter2';
+import { generateId } from '../helper.functions.js';
+import { OUTBOUND_QUEUE_TTL, ZxAI_OUTBOUND_QUEUE_UPDATED } from '../constants.js';
+
+/**
+ * @typedef {Object} OutboundQueueEntry
+ * @property {string} id the entry id
+ * @property {string} topic the topic the message is published on
+ * @property {string} node the destination node
+ * @property {string|null} action the command carried by the message
+ * @property {number} enqueuedAt the time the message was queued
+ * @property {number} expiresAt the time the message is dropped if not sent
+ */
+
+/**
+ * @class OutboundQueue
+ *
+ * Holds the outbound messages while the outbound connection is down. The messages are sent in order when the queue is
+ * flushed, and dropped when not sent within their TTL. Each change in the queue contents is signalled through the
+ * `ZxAI_OUTBOUND_QUEUE_UPDATED` event.
+ */
+export class OutboundQueue extends EventEmitter2 {
+    /**
+     * The queued messages, in the order they were queued.
+     *
+     * @type {Array<{entry: OutboundQueueEntry, send: function, expire: function, timeoutId: number}>}
+     * @private
+     */
+    items = [];
+
+    /**
+     * The default time to live for the queued messages, in milliseconds.
+     *
+     * @type {number}
+     * @private
+     */
+    ttl;
+
+    /**
+     * The OutboundQueue constructor.
+     *
+     * @param {number} ttl
+     */
+    constructor(ttl = OUTBOUND_QUEUE_TTL) {
+        super();
+        this.ttl = ttl;
+    }
+
+    /**
+     * Queues a message. The `send` callback is called when the queue is flushed, the `expire` callback when the message
+     * is dropped after its `ttl` elapsed.
+     *
+     * @param {{topic: string, node: string, action: string|null}} details
+     * @param {function} send
+     * @param {function} expire
+     * @param {number|null} ttl
+     * @return {string} the entry id
+     */
+    enqueue(details, send, expire, ttl = null) {
+        const now = new Date().getTime();
+        const timeToLive = ttl ?? this.ttl;
+
+        /** @type {OutboundQueueEntry} */
+        const entry = {
+            id: generateId(),
+            topic: details.topic,
+            node: details.node,
+            action: details.action ?? null,
+            enqueuedAt: now,
+            expiresAt: now + timeToLive,
+        };
+
+        const timeoutId = setTimeout(() => {
+            if (this._take(entry.id)) {
+                expire(entry);
+            }
+        }, timeToLive);
+
+        this.items.push({ entry, send, expire, timeoutId });
+        this._notify();
+
+        return entry.id;
+    }
+
+    /**
+     * Sends all the queued messages, in the order they were queued.
+     *
+     * @return {number} the number of messages sent
+     */
+    flush() {
+        const items = this.items;
+        this.items = [];
+
+        items.forEach((item) => {
+            clearTimeout(item.timeoutId);
+            item.send(item.entry);
+        });
+
+        if (items.length > 0) {
+            this._notify();
+        }
+
+        return items.length;
+    }
+
+    /**
+     * Drops a queued message without sending it.
+     *
+     * @param {string} id
+     * @return {boolean} `true` if the message was still queued
+     */
+    remove(id) {
+        return this._take(id) !== null;
+    }
+
+    /**
+     * Drops all the queued messages without sending them.
+     *
+     * @return {OutboundQueue}
+     */
+    clear() {
+        const hadItems = this.items.length > 0;
+
+        this.items.forEach((item) => clearTimeout(item.timeoutId));
+        this.items = [];
+
+        if (hadItems) {
+            this._notify();
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns the queued messages, in the order they will be sent.
+     *
+     * @return {Array<OutboundQueueEntry>}
+     */
+    getEntries() {
+        return this.items.map((item) => ({ ...item.entry }));
+    }
+
+    /**
+     * Returns the number of queued messages.
+     *
+     * @return {number}
+     */
+    size() {
+        return this.items.length;
+    }
+
+    /**
+     * Removes the item with the provided `id` from the queue and returns it.
+     *
+     * @param {string} id
+     * @return {Object|null}
+     * @private
+     */
+    _take(id) {
+        const index = this.items.findIndex((item) => item.entry.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const [item] = this.items.splice(index, 1);
+        clearTimeout(item.timeoutId);
+        this._notify();
+
+        return item;
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this.emit(ZxAI_OUTBOUND_QUEUE_UPDATED, { pending: this.items.length, entries: this.getEntries() });
+    }
+}
@@ -118,7 +118,8 @@ export class Pipeline {
         Object.keys(plugins).forEach((signature) => {
             const schema = pluginSchemas[signature] ?? null;
             Object.keys(plugins[signature]).forEach((instanceId) => {
-                const { config: rawConfig, stats: instanceStats } = plugins[signature][instanceId];
+                const rawConfig = { ...plugins[signature][instanceId].config };
+                const instanceStats = plugins[signature][instanceId].stats;
                 const tags = rawConfig[ID_TAGS] ?? {};
                 const schedule = rawConfig[WORKING_HOURS] ?? [];
                 const timezone = rawConfig[WORKING_HOURS_TIMEZONE] ?? 'UTC+0';
@@ -272,13 +273,26 @@ export class Pipeline {
     }
 
     /**
-     * Sends the provided `command` to the pipeline running on the NaeuralEdgeProtocol Node.
+     * Sends the provided `command` to the pipeline running on the NaeuralEdgeProtocol Node. With the `awaitPayload`
+     * option set, the promise resolves with the data of the first payload answering the command.
      *
      * @param {Object} command
+     * @param {PublishOptions} options
      * @return {Promise<*>}
      */
-    sendCommand(command) {
-        return this.client.publish(this.node, this._getRawPipelineCommandPayload(command));
+    sendCommand(command, options = {}) {
+        const message = this._getRawPipelineCommandPayload(command);
+        if (options.awaitPayload) {
+            return this.client.publishStickyCommand(
+                this.node,
+                message,
+                command[STICKY_COMMAND_ID_KEY],
+                [this.node, this.id, null, null],
+                options,
+            );
+        }
+
+        return this.client.publish(this.node, message, [], options);
     }
 
     /**
@@ -524,13 +524,29 @@ export class PluginInstance {
     }
 
     /**
-     * Sends a command to the instance running on the NaeuralEdgeProtocol Network node.
+     * Sends a command to the instance running on the NaeuralEdgeProtocol Network node. With the `awaitPayload` option
+     * set, the promise resolves with the data of the first payload the instance sends in response to the command.
      *
      * @param {Object} command
+     * @param {PublishOptions} options
      * @return {Promise<Object>}
      */
-    sendCommand(command) {
-        return this.pipeline.getClient().publish(this.pipeline.getNode(), this.getRawInstanceCommandPayload(command));
+    sendCommand(command, options = {}) {
+        const client = this.pipeline.getClient();
+        const node = this.pipeline.getNode();
+        const message = this.getRawInstanceCommandPayload(command);
+
+        if (options.awaitPayload) {
+            return client.publishStickyCommand(
+                node,
+                message,
+                command[STICKY_COMMAND_ID_KEY],
+                [node, this.pipeline.id, this.signature, this.id],
+                options,
+            );
+        }
+
+        return client.publish(node, message, [], options);
     }
 
     /**
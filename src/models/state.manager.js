@@ -1,6 +1,18 @@
 import EventEmitter2 from 'eventemitter2';
 import { NetworkRequestsHandler } from './network.requests.handler';
-import {TIMEOUT_MAX_REQUEST_TIME, TIMEOUT_TO_FIRST_RESPONSE} from '../constants';
+import { NodeStatusTracker } from './node.status.tracker';
+import { RequestTimeoutError } from '../errors.js';
+import {
+    NODE_EVENT_HEARTBEAT,
+    NODE_EVENT_OFFLINE,
+    NOTIFICATION_TYPE_NORMAL,
+    TIMEOUT_MAX_REQUEST_TIME,
+    TIMEOUT_PHASE_COMPLETION,
+    TIMEOUT_PHASE_FIRST_RESPONSE,
+    TIMEOUT_PHASE_PAYLOAD,
+    TIMEOUT_TO_FIRST_RESPONSE,
+    ZxAI_ENGINE_OFFLINE,
+} from '../constants';
 
 export class StateManager extends EventEmitter2 {
     state = {
@@ -20,10 +32,30 @@ export class StateManager extends EventEmitter2 {
      */
     networkRequestsHandler;
 
+    /**
+     * The liveness tracker for the network nodes.
+     *
+     * @type {NodeStatusTracker}
+     * @private
+     */
+    nodeStatusTracker;
+
+    /**
+     * The commands waiting for a payload stamped with their sticky command id, indexed by the command id.
+     *
+     * @type {Object.<string, {path: Array<string|null>, onSuccess: function, onFail: function, timeoutId: number}>}
+     * @private
+     */
+    stickyCommands = {};
+
     constructor(logger) {
         super();
         this.logger = logger;
         this.networkRequestsHandler = new NetworkRequestsHandler();
+        this.nodeStatusTracker = new NodeStatusTracker();
+        this.nodeStatusTracker.on(ZxAI_ENGINE_OFFLINE, ({ node }) => {
+            this.onNodeEvent(node, NODE_EVENT_OFFLINE, { NOTIFICATION: `Node ${node} went offline.` });
+        });
     }
 
     nodeInfoUpdate(info){
@@ -34,6 +66,7 @@ export class StateManager extends EventEmitter2 {
             utc: info.EE_TIMEZONE,
         };
         const data = info.DATA;
+        const previous = this.state.hb[path[0]]?.data ?? null;
 
         if (!this.state.hb[path[0]]) {
             this.state.hb[path[0]] = {
@@ -47,7 +80,13 @@ export class StateManager extends EventEmitter2 {
         this.state.hb[path[0]].nodeTime = { ...nodeTime };
         this.state.hb[path[0]].data = { ...data };
 
-        this.emit('state.update', this.state.hb[path[0]].data);
+        this.nodeStatusTracker.heartbeat(path[0], data?.node?.EE_HB_TIME ?? null, now);
+        this.emit('state.update', this.state.hb[path[0]].data, path[0]);
+        this.onNodeEvent(path[0], NODE_EVENT_HEARTBEAT, {
+            NOTIFICATION: 'Heartbeat received.',
+            HEARTBEAT: this.state.hb[path[0]].data,
+            PREVIOUS_HEARTBEAT: previous,
+        });
 
         return this;
     }
@@ -66,6 +105,16 @@ export class StateManager extends EventEmitter2 {
         return this.state.hb[node] !== undefined ? this.state.hb[node] : null;
     }
 
+    /**
+     * Returns the blockchain address of the node, as advertised in its last heartbeat.
+     *
+     * @param {string} node
+     * @return {string|null}
+     */
+    getNodeAddress(node) {
+        return this.getNodeInfo(node)?.data?.node?.EE_ADDR ?? null;
+    }
+
     /**
      * Returns the configuration of a specific pipeline running on the requested node.
      *
@@ -104,6 +153,32 @@ export class StateManager extends EventEmitter2 {
         return null;
     }
 
+    /**
+     * Returns the full configuration of a pipeline running on the node, in the `UPDATE_CONFIG` format, as reflected
+     * by the last heartbeat.
+     *
+     * @param {string} node
+     * @param {string} pipelineId
+     * @return {Object|null}
+     */
+    getRunningPipelineSnapshot(node, pipelineId) {
+        const pipeline = this.getNodeInfo(node)?.data?.pipelines?.[pipelineId];
+        if (!pipeline) {
+            return null;
+        }
+
+        return {
+            ...pipeline.config,
+            PLUGINS: Object.keys(pipeline.plugins).map((signature) => ({
+                SIGNATURE: signature,
+                INSTANCES: Object.keys(pipeline.plugins[signature]).map((instanceId) => ({
+                    ...pipeline.plugins[signature][instanceId].config,
+                    INSTANCE_ID: instanceId,
+                })),
+            })),
+        };
+    }
+
     updateNetworkSnapshot(supervisor, update) {
         this.state.network[supervisor] = update;
 
@@ -118,6 +193,34 @@ export class StateManager extends EventEmitter2 {
         return this.state.network[supervisor] ?? null;
     }
 
+    /**
+     * Returns the liveness tracker for the network nodes.
+     *
+     * @return {NodeStatusTracker}
+     */
+    getNodeStatusTracker() {
+        return this.nodeStatusTracker;
+    }
+
+    /**
+     * Returns `true` if the node's heartbeats are received at the advertised interval.
+     *
+     * @param {string} node
+     * @return {boolean}
+     */
+    isOnline(node) {
+        return this.nodeStatusTracker.isOnline(node);
+    }
+
+    /**
+     * Returns the liveness status for all the nodes that sent heartbeats.
+     *
+     * @return {Object.<string, NodeStatus>}
+     */
+    getNodesStatus() {
+        return this.nodeStatusTracker.getStatus();
+    }
+
     markNodeAsSeen(node, timestamp) {
         this.state.universe[node] = timestamp;
 
@@ -125,38 +228,193 @@ export class StateManager extends EventEmitter2 {
     }
 
     /**
-     * Creates and configures a new transaction that will follow the completion of the request published to the
-     * network.
+     * Registers a network request for the published `message`. The request fails if no notification is received
+     * within `timeouts.firstResponse` or if not all the `watches` are answered within `timeouts.completion`. Node
+     * level requests are only bound by the completion timeout. When `startTimeouts` is `false`, the timeouts are only
+     * started by calling `startRequestTimeouts()`, once the message actually leaves the client.
      *
      * @param {Object} message
-     * @param {Array<Array<string>>} watches
+     * @param {Array<Array<string|null>>} watches
      * @param {function} onSuccess
      * @param {function} onFail
+     * @param {{firstResponse: number, completion: number}} timeouts
+     * @param {boolean} startTimeouts
      * @return {NetworkRequest}
      */
-    registerMessage(message, watches, onSuccess, onFail) {
+    registerMessage(message, watches, onSuccess, onFail, timeouts = {}, startTimeouts = true) {
         const request = this.networkRequestsHandler.createRequest(message['ACTION'], onSuccess, onFail);
         watches.forEach((watchPath) => {
             request.watch(watchPath);
         });
 
-        const firstResponseTimeout = setTimeout(() => {
-            request.timeout();
-        }, TIMEOUT_TO_FIRST_RESPONSE);
+        if (startTimeouts) {
+            this.startRequestTimeouts(request, timeouts);
+        }
+
+        return request;
+    }
+
+    /**
+     * Starts the first response and completion timeouts for a registered network `request`.
+     *
+     * @param {NetworkRequest} request
+     * @param {{firstResponse: number, completion: number}} timeouts
+     * @return {StateManager}
+     */
+    startRequestTimeouts(request, timeouts = {}) {
+        const firstResponse = timeouts.firstResponse ?? TIMEOUT_TO_FIRST_RESPONSE;
+        const completion = timeouts.completion ?? TIMEOUT_MAX_REQUEST_TIME;
+
+        const firstResponseTimeout = request.isNodeLevel()
+            ? null
+            : setTimeout(() => {
+                request.timeout(TIMEOUT_PHASE_FIRST_RESPONSE, firstResponse);
+            }, firstResponse);
         const completeTimeout = setTimeout(() => {
-            request.timeout();
-        }, TIMEOUT_MAX_REQUEST_TIME);
+            request.timeout(TIMEOUT_PHASE_COMPLETION, completion);
+        }, completion);
         request.setTimeoutIds(firstResponseTimeout, completeTimeout);
 
-        return request;
+        return this;
+    }
+
+    /**
+     * Fails all the open network transactions with the error built by `createError`. The transactions pass their
+     * report, the sticky commands have none to pass.
+     *
+     * @param {function(NetworkRequestReport=): *} createError
+     * @return {StateManager}
+     */
+    rejectPendingRequests(createError) {
+        this.networkRequestsHandler.abortAll(createError);
+        Object.keys(this.stickyCommands).forEach((commandId) => {
+            const sticky = this.stickyCommands[commandId];
+
+            this.releaseStickyCommand(commandId);
+            sticky.onFail(createError());
+        });
+
+        return this;
+    }
+
+    /**
+     * Registers a command waiting for the first payload stamped with its sticky `commandId`, received from the
+     * instance at `path`. The `null` entries of the `path` match any pipeline, signature or instance. Once started
+     * through `startStickyCommandTimeout()`, the command fails with a `RequestTimeoutError` if no such payload is
+     * received within `timeout`.
+     *
+     * @param {string} commandId
+     * @param {Array<string|null>} path
+     * @param {function} onSuccess
+     * @param {function} onFail
+     * @param {number} timeout
+     * @return {StateManager}
+     */
+    registerStickyCommand(commandId, path, onSuccess, onFail, timeout = TIMEOUT_MAX_REQUEST_TIME) {
+        this.stickyCommands[commandId] = { path, onSuccess, onFail, timeout, timeoutId: null };
+
+        return this;
+    }
+
+    /**
+     * Starts the payload timeout of a sticky command, once the command was sent to the node.
+     *
+     * @param {string} commandId
+     * @return {StateManager}
+     */
+    startStickyCommandTimeout(commandId) {
+        const sticky = this.stickyCommands[commandId];
+        if (!sticky || sticky.timeoutId !== null) {
+            return this;
+        }
+
+        sticky.timeoutId = setTimeout(() => {
+            this.releaseStickyCommand(commandId);
+            sticky.onFail(new RequestTimeoutError(TIMEOUT_PHASE_PAYLOAD, [sticky.path], sticky.timeout));
+        }, sticky.timeout);
+
+        return this;
+    }
+
+    /**
+     * Stops waiting for the payload answering the sticky command.
+     *
+     * @param {string} commandId
+     * @return {StateManager}
+     */
+    releaseStickyCommand(commandId) {
+        const sticky = this.stickyCommands[commandId];
+        if (sticky) {
+            clearTimeout(sticky.timeoutId);
+            delete this.stickyCommands[commandId];
+        }
+
+        return this;
+    }
+
+    /**
+     * Resolves the sticky command answered by the payload received from `path`. Returns `true` if a command was
+     * waiting for the payload.
+     *
+     * @param {string} commandId
+     * @param {Array<string|null>} path
+     * @param {Object} data
+     * @param {Object} context
+     * @return {boolean}
+     */
+    onStickyPayload(commandId, path, data, context) {
+        const sticky = this.stickyCommands[commandId];
+        if (!sticky || !sticky.path.every((segment, index) => segment === null || segment === path?.[index])) {
+            return false;
+        }
+
+        this.releaseStickyCommand(commandId);
+        sticky.onSuccess(data, context);
+
+        return true;
+    }
+
+    /**
+     * Routes a node event to all the open transactions watching the node. The event is shaped as a notification
+     * on the node path, having the `NOTIFICATION_CODE` set to the event `code`.
+     *
+     * @param {string} node
+     * @param {string} code
+     * @param {Object} data
+     * @return {StateManager}
+     */
+    onNodeEvent(node, code, data) {
+        const path = [node, null, null, null];
+        const event = {
+            data,
+            context: {
+                metadata: {
+                    EE_PAYLOAD_PATH: path,
+                    NOTIFICATION_CODE: code,
+                    NOTIFICATION_TYPE: NOTIFICATION_TYPE_NORMAL,
+                },
+            },
+        };
+
+        this.networkRequestsHandler.findAll(path).forEach((request) => {
+            request.processNodeEvent(event);
+            if (request.isClosed()) {
+                this.networkRequestsHandler.release(request);
+            }
+        });
+
+        return this;
     }
 
     onRequestResponseNotification(message) {
-        const request = this.networkRequestsHandler.find(message.context.metadata.EE_PAYLOAD_PATH);
+        const request = this.networkRequestsHandler.find(
+            message.context.metadata.EE_PAYLOAD_PATH,
+            message.context.metadata.SESSION_ID ?? null,
+        );
         if (request) {
             request.process(message);
             if (request.isClosed()) {
-                this.networkRequestsHandler.destroy(message.context.metadata.EE_PAYLOAD_PATH);
+                this.networkRequestsHandler.release(request);
             }
         }
     }
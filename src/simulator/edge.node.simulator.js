@@ -0,0 +1,676 @@
+import EventEmitter2 from 'eventemitter2';
+import NaeuralBC from '../web.blockchain.js';
+import { encode } from '../helper.functions.js';
+import {
+    DEFAULT_HEARTBEAT_INTERVAL,
+    MESSAGE_TYPE_HEARTBEAT,
+    MESSAGE_TYPE_NOTIFICATION,
+    MESSAGE_TYPE_PAYLOAD,
+    NODE_COMMAND_ARCHIVE_CONFIG,
+    NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
+    NODE_COMMAND_FULL_HEARTBEAT,
+    NODE_COMMAND_PIPELINE_COMMAND,
+    NODE_COMMAND_TIMERS_ONLY_HEARTBEAT,
+    NODE_COMMAND_UPDATE_CONFIG,
+    NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+    NOTIFICATION_TYPE_EXCEPTION,
+    NOTIFICATION_TYPE_NORMAL,
+    PIPELINE_ARCHIVE_FAILED,
+    PIPELINE_ARCHIVE_OK,
+    PIPELINE_FAILED,
+    PIPELINE_OK,
+    PLUGIN_FAILED,
+    PLUGIN_INSTANCE_COMMAND_FAILED,
+    PLUGIN_INSTANCE_COMMAND_OK,
+    PLUGIN_OK,
+} from '../constants.js';
+
+const HEARTBEATS_TOPIC = 'lummetry/ctrl';
+const NOTIFICATIONS_TOPIC = 'lummetry/notif';
+const PAYLOADS_TOPIC = 'lummetry/payloads';
+
+export const SIMULATOR_COMMAND_RECEIVED = 'simulator.command.received';
+export const SIMULATOR_COMMAND_REJECTED = 'simulator.command.rejected';
+
+/**
+ * @typedef {Object} SimulatedFailure
+ * @property {string|null} [action] the command ACTION to fail, `null` for any action
+ * @property {string|null} [pipeline] the targeted pipeline, `null` for any pipeline
+ * @property {string|null} [instance] the targeted instance, `null` for any instance
+ * @property {boolean} [silent] when `true` no notification is sent for the target, simulating an unresponsive node
+ * @property {string} [reason] the NOTIFICATION text sent back
+ * @property {number|null} [times] the number of commands to fail, `null` for failing until cleared
+ */
+
+/**
+ * @typedef {Object} EdgeNodeSimulatorOptions
+ * @property {string} name the node name, used as `EE_ID`
+ * @property {string|null} [key] PEM private key for the node identity, a random identity is used when missing
+ * @property {number} [heartbeatInterval] milliseconds between heartbeats
+ * @property {boolean} [encodeHeartbeat] when `true` the heartbeat contents are sent as `ENCODED_DATA`
+ * @property {number} [responseDelay] milliseconds to wait before sending the notifications for a command
+ * @property {string} [version] the reported `EE_VERSION`
+ * @property {Array<Object>} [pipelines] the initial pipelines, in the same format as `UPDATE_CONFIG` payloads
+ */
+
+/**
+ * @class EdgeNodeSimulator
+ *
+ * A simulated NaeuralEdgeProtocol Edge Node, to be run against the network client in tests and UI development. It
+ * sends signed heartbeats describing its pipelines, applies the configuration commands it receives and answers with
+ * the notifications a real node would send. Failures can be injected for any command target.
+ */
+export class EdgeNodeSimulator extends EventEmitter2 {
+    /**
+     * The node name.
+     *
+     * @type {string}
+     */
+    name;
+
+    /**
+     * The simulator options.
+     *
+     * @type {EdgeNodeSimulatorOptions}
+     * @private
+     */
+    options = {
+        name: 'simulated-node',
+        key: null,
+        heartbeatInterval: DEFAULT_HEARTBEAT_INTERVAL,
+        encodeHeartbeat: false,
+        responseDelay: 0,
+        version: '0.0.0',
+        pipelines: [],
+    };
+
+    /**
+     * The transport used for talking to the network.
+     *
+     * @type {Transport}
+     * @private
+     */
+    transport;
+
+    /**
+     * The node identity.
+     *
+     * @type {NaeuralBC}
+     * @private
+     */
+    naeuralBC;
+
+    /**
+     * The pipelines running on the node, indexed by name.
+     *
+     * @type {Object.<string, {config: Object, plugins: Object.<string, Object.<string, Object>>}>}
+     * @private
+     */
+    pipelines = {};
+
+    /**
+     * The injected failures.
+     *
+     * @type {Array<SimulatedFailure>}
+     * @private
+     */
+    failures = [];
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    heartbeatIntervalId = null;
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    startedAt = null;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    messageSeq = 0;
+
+    /**
+     * The EdgeNodeSimulator constructor.
+     *
+     * @param {Transport} transport
+     * @param {EdgeNodeSimulatorOptions} options
+     */
+    constructor(transport, options = {}) {
+        super();
+
+        this.options = { ...this.options, ...options };
+        this.name = this.options.name;
+        this.transport = transport;
+        this.naeuralBC = new NaeuralBC();
+        this.naeuralBC.loadIdentity({ key: this.options.key });
+
+        this.options.pipelines.forEach((config) => this._applyPipelineConfig(config));
+
+        this.transport.on('connect', () => {
+            this.transport
+                .subscribe(this._getCommandsTopic())
+                .then(() => this.sendHeartbeat())
+                .catch(() => {});
+        });
+        this.transport.on('message', (topic, payload) => {
+            if (topic === this._getCommandsTopic()) {
+                // responses that can no longer be sent after disconnecting are lost
+                this._onCommand(new TextDecoder().decode(payload)).catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Returns the blockchain address of the simulated node.
+     *
+     * @return {string}
+     */
+    getAddress() {
+        return this.naeuralBC.getAddress();
+    }
+
+    /**
+     * Returns the configuration of the pipelines running on the node, in the `UPDATE_CONFIG` format.
+     *
+     * @return {Array<Object>}
+     */
+    getPipelines() {
+        return Object.keys(this.pipelines).map((name) => this._compilePipeline(name));
+    }
+
+    /**
+     * Returns the configuration of a pipeline, in the `UPDATE_CONFIG` format.
+     *
+     * @param {string} name
+     * @return {Object|null}
+     */
+    getPipeline(name) {
+        return this.pipelines[name] ? this._compilePipeline(name) : null;
+    }
+
+    /**
+     * Connects the node and starts sending heartbeats.
+     *
+     * @return {EdgeNodeSimulator}
+     */
+    start() {
+        this.startedAt = new Date().getTime();
+        this.transport.connect();
+        this.heartbeatIntervalId = setInterval(() => {
+            // heartbeats are lost while disconnected, as they would be for a real node
+            this.sendHeartbeat().catch(() => {});
+        }, this.options.heartbeatInterval);
+
+        return this;
+    }
+
+    /**
+     * Stops the heartbeats and disconnects the node.
+     *
+     * @return {Promise<EdgeNodeSimulator>}
+     */
+    async stop() {
+        if (this.heartbeatIntervalId !== null) {
+            clearInterval(this.heartbeatIntervalId);
+            this.heartbeatIntervalId = null;
+        }
+
+        await this.transport.end();
+
+        return this;
+    }
+
+    /**
+     * Registers a failure for the matching command targets. A command target is a pipeline or a plugin instance.
+     *
+     * @param {SimulatedFailure} failure
+     * @return {EdgeNodeSimulator}
+     */
+    injectFailure(failure = {}) {
+        this.failures.push({
+            action: null,
+            pipeline: null,
+            instance: null,
+            silent: false,
+            reason: null,
+            times: 1,
+            ...failure,
+        });
+
+        return this;
+    }
+
+    /**
+     * Removes all the injected failures.
+     *
+     * @return {EdgeNodeSimulator}
+     */
+    clearFailures() {
+        this.failures = [];
+
+        return this;
+    }
+
+    /**
+     * Sends a heartbeat describing the current node state. Full heartbeats also carry the device and error logs.
+     *
+     * @param {boolean} full
+     * @return {Promise<void>}
+     */
+    async sendHeartbeat(full = false) {
+        const now = new Date();
+        const contents = {
+            CONFIG_STREAMS: this.getPipelines(),
+            ACTIVE_PLUGINS: this._getActivePlugins(),
+            DCT_STATS: this._getCaptureStats(now),
+        };
+        const heartbeat = {
+            EE_ID: this.name,
+            EE_ADDR: this.getAddress(),
+            EE_VERSION: this.options.version,
+            EE_HB_TIME: this.options.heartbeatInterval / 1000,
+            EE_IS_SUPER: false,
+            SECURED: true,
+            DEVICE_STATUS: 'online',
+            MACHINE_IP: '127.0.0.1',
+            CURRENT_TIME: now.toISOString(),
+            TIMESTAMP: now.getTime(),
+            UPTIME: (now.getTime() - (this.startedAt ?? now.getTime())) / 1000,
+        };
+
+        if (full) {
+            heartbeat.DEVICE_LOG = [];
+            heartbeat.ERROR_LOG = [];
+        }
+
+        if (this.options.encodeHeartbeat) {
+            heartbeat.ENCODED_DATA = await encode(JSON.stringify(contents));
+        } else {
+            Object.assign(heartbeat, contents);
+        }
+
+        return this._send(HEARTBEATS_TOPIC, [this.name, null, null, null], MESSAGE_TYPE_HEARTBEAT, heartbeat);
+    }
+
+    /**
+     * Sends a payload on behalf of a plugin instance.
+     *
+     * @param {string} pipeline
+     * @param {string} signature
+     * @param {string} instance
+     * @param {Object} data
+     * @return {Promise<void>}
+     */
+    sendPayload(pipeline, signature, instance, data) {
+        return this._send(PAYLOADS_TOPIC, [this.name, pipeline, signature, instance], MESSAGE_TYPE_PAYLOAD, data);
+    }
+
+    /**
+     * Handles a raw command received from the network.
+     *
+     * @param {string} raw
+     * @return {Promise<void>}
+     * @private
+     */
+    async _onCommand(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            this.emit(SIMULATOR_COMMAND_REJECTED, { reason: 'Command is not a valid JSON.', raw });
+
+            return;
+        }
+
+        const { valid, reason } = await this.naeuralBC.checkSignature(raw);
+        if (!valid) {
+            this.emit(SIMULATOR_COMMAND_REJECTED, { reason, raw });
+
+            return;
+        }
+
+        if (message.EE_IS_ENCRYPTED) {
+            try {
+                const decrypted = JSON.parse(await this.naeuralBC.decrypt(message.EE_ENCRYPTED_DATA, message.EE_SENDER));
+                message = { ...message, ...decrypted };
+            } catch (e) {
+                this.emit(SIMULATOR_COMMAND_REJECTED, { reason: 'Could not decrypt the command.', raw });
+
+                return;
+            }
+        }
+
+        this.emit(SIMULATOR_COMMAND_RECEIVED, message);
+
+        const responses = this._execute(message.ACTION, message.PAYLOAD).filter((response) => response !== null);
+        if (this.options.responseDelay > 0) {
+            await new Promise((resolve) => setTimeout(resolve, this.options.responseDelay));
+        }
+
+        for (const response of responses) {
+            await this._send(NOTIFICATIONS_TOPIC, response.path, MESSAGE_TYPE_NOTIFICATION, {
+                SESSION_ID: message.SESSION_ID ?? null,
+                INITIATOR_ID: message.INITIATOR_ID ?? null,
+                NOTIFICATION_CODE: response.code,
+                NOTIFICATION_TYPE: response.failed ? NOTIFICATION_TYPE_EXCEPTION : NOTIFICATION_TYPE_NORMAL,
+                NOTIFICATION: response.notification,
+            });
+        }
+
+        const heartbeatRequested = [NODE_COMMAND_FULL_HEARTBEAT, NODE_COMMAND_TIMERS_ONLY_HEARTBEAT].includes(
+            message.ACTION,
+        );
+        if (heartbeatRequested || responses.some((response) => !response.failed)) {
+            await this.sendHeartbeat(message.ACTION === NODE_COMMAND_FULL_HEARTBEAT);
+        }
+    }
+
+    /**
+     * Applies a command to the node state and returns the notifications to be sent for each target. A `null`
+     * response stands for a target that should not be answered.
+     *
+     * @param {string} action
+     * @param {*} payload
+     * @return {Array<Object|null>}
+     * @private
+     */
+    _execute(action, payload) {
+        switch (action) {
+            case NODE_COMMAND_UPDATE_CONFIG:
+                return this._updateConfig(payload);
+            case NODE_COMMAND_UPDATE_PIPELINE_INSTANCE:
+                return [this._updateInstance(action, payload)];
+            case NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE:
+                return payload.map((update) => this._updateInstance(action, update));
+            case NODE_COMMAND_ARCHIVE_CONFIG:
+                return [this._archiveConfig(payload)];
+            case NODE_COMMAND_PIPELINE_COMMAND:
+                return [this._pipelineCommand(payload)];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * @param {Object} payload
+     * @return {Array<Object|null>}
+     * @private
+     */
+    _updateConfig(payload) {
+        const name = payload.NAME;
+        const path = [this.name, name, null, null];
+        const failure = this._takeFailure(NODE_COMMAND_UPDATE_CONFIG, name, null);
+
+        if (failure) {
+            return [this._failed(failure, path, PIPELINE_FAILED, `Could not update pipeline ${name}.`)];
+        }
+
+        this._applyPipelineConfig(payload);
+
+        return [
+            this._succeeded(path, PIPELINE_OK, `Pipeline ${name} updated.`),
+            ...this._listInstancePaths(name).map((instancePath) =>
+                this._succeeded(instancePath, PLUGIN_OK, `Plugin instance ${instancePath[3]} updated.`),
+            ),
+        ];
+    }
+
+    /**
+     * @param {string} action
+     * @param {Object} payload
+     * @return {Object|null}
+     * @private
+     */
+    _updateInstance(action, payload) {
+        const { NAME: name, SIGNATURE: signature, INSTANCE_ID: instanceId, INSTANCE_CONFIG: config = {} } = payload;
+        const path = [this.name, name, signature, instanceId];
+        const isCommand = config.INSTANCE_COMMAND !== undefined;
+        const failure = this._takeFailure(action, name, instanceId);
+
+        if (failure || !this.pipelines[name]) {
+            return this._failed(
+                failure ?? {},
+                path,
+                isCommand ? PLUGIN_INSTANCE_COMMAND_FAILED : PLUGIN_FAILED,
+                `Could not update plugin instance ${instanceId}.`,
+            );
+        }
+
+        if (isCommand) {
+            return this._succeeded(path, PLUGIN_INSTANCE_COMMAND_OK, `Command executed by ${instanceId}.`);
+        }
+
+        const plugins = this.pipelines[name].plugins;
+        if (!plugins[signature]) {
+            plugins[signature] = {};
+        }
+
+        plugins[signature][instanceId] = {
+            ...(plugins[signature][instanceId] ?? {}),
+            ...config,
+            INSTANCE_ID: instanceId,
+        };
+
+        return this._succeeded(path, PLUGIN_OK, `Plugin instance ${instanceId} updated.`);
+    }
+
+    /**
+     * @param {string} name
+     * @return {Object|null}
+     * @private
+     */
+    _archiveConfig(name) {
+        const path = [this.name, name, null, null];
+        const failure = this._takeFailure(NODE_COMMAND_ARCHIVE_CONFIG, name, null);
+
+        if (failure || !this.pipelines[name]) {
+            return this._failed(failure ?? {}, path, PIPELINE_ARCHIVE_FAILED, `Could not archive pipeline ${name}.`);
+        }
+
+        delete this.pipelines[name];
+
+        return this._succeeded(path, PIPELINE_ARCHIVE_OK, `Pipeline ${name} archived.`);
+    }
+
+    /**
+     * @param {Object} payload
+     * @return {Object|null}
+     * @private
+     */
+    _pipelineCommand(payload) {
+        const name = payload.NAME;
+        const path = [this.name, name, null, null];
+        const failure = this._takeFailure(NODE_COMMAND_PIPELINE_COMMAND, name, null);
+
+        if (failure || !this.pipelines[name]) {
+            return this._failed(failure ?? {}, path, PIPELINE_FAILED, `Could not execute command on pipeline ${name}.`);
+        }
+
+        return this._succeeded(path, PIPELINE_OK, `Command executed by pipeline ${name}.`);
+    }
+
+    /**
+     * Stores a pipeline config received in the `UPDATE_CONFIG` format. The instances of an existing pipeline are
+     * replaced by the ones in the config.
+     *
+     * @param {Object} payload
+     * @private
+     */
+    _applyPipelineConfig(payload) {
+        const { PLUGINS: plugins = [], ...config } = payload;
+        const existing = this.pipelines[config.NAME]?.config ?? {};
+
+        this.pipelines[config.NAME] = {
+            config: { ...existing, ...config },
+            plugins: {},
+        };
+
+        plugins.forEach((plugin) => {
+            this.pipelines[config.NAME].plugins[plugin.SIGNATURE] = {};
+            plugin.INSTANCES.forEach((instance) => {
+                this.pipelines[config.NAME].plugins[plugin.SIGNATURE][instance.INSTANCE_ID] = { ...instance };
+            });
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @return {Object}
+     * @private
+     */
+    _compilePipeline(name) {
+        const { config, plugins } = this.pipelines[name];
+
+        return {
+            ...config,
+            PLUGINS: Object.keys(plugins).map((signature) => ({
+                SIGNATURE: signature,
+                INSTANCES: Object.values(plugins[signature]).map((instance) => ({ ...instance })),
+            })),
+        };
+    }
+
+    /**
+     * @param {string} name
+     * @return {Array<Array<string>>}
+     * @private
+     */
+    _listInstancePaths(name) {
+        const plugins = this.pipelines[name].plugins;
+
+        return Object.keys(plugins).flatMap((signature) =>
+            Object.keys(plugins[signature]).map((instanceId) => [this.name, name, signature, instanceId]),
+        );
+    }
+
+    /**
+     * @return {Array<Object>}
+     * @private
+     */
+    _getActivePlugins() {
+        const initTimestamp = new Date(this.startedAt ?? new Date().getTime()).toISOString();
+
+        return Object.keys(this.pipelines).flatMap((name) =>
+            this._listInstancePaths(name).map(([, pipeline, signature, instanceId]) => ({
+                STREAM_ID: pipeline,
+                SIGNATURE: signature,
+                INSTANCE_ID: instanceId,
+                FREQUENCY: null,
+                INIT_TIMESTAMP: initTimestamp,
+                OUTSIDE_WORKING_HOURS: false,
+            })),
+        );
+    }
+
+    /**
+     * @param {Date} now
+     * @return {Object}
+     * @private
+     */
+    _getCaptureStats(now) {
+        const stats = {};
+        Object.keys(this.pipelines).forEach((name) => {
+            stats[name] = {
+                NOW: now.toISOString(),
+                DPS: this.pipelines[name].config.CAP_RESOLUTION ?? 0,
+                CFG_DPS: this.pipelines[name].config.CAP_RESOLUTION ?? 0,
+                TGT_DPS: this.pipelines[name].config.CAP_RESOLUTION ?? 0,
+            };
+        });
+
+        return stats;
+    }
+
+    /**
+     * Returns the first injected failure matching the command target, consuming one of its occurrences.
+     *
+     * @param {string} action
+     * @param {string} pipeline
+     * @param {string|null} instance
+     * @return {SimulatedFailure|null}
+     * @private
+     */
+    _takeFailure(action, pipeline, instance) {
+        const failure = this.failures.find(
+            (candidate) =>
+                (candidate.action ?? action) === action &&
+                (candidate.pipeline ?? pipeline) === pipeline &&
+                (candidate.instance ?? instance) === instance,
+        );
+
+        if (!failure) {
+            return null;
+        }
+
+        if (failure.times !== null) {
+            failure.times--;
+            if (failure.times <= 0) {
+                this.failures = this.failures.filter((candidate) => candidate !== failure);
+            }
+        }
+
+        return failure;
+    }
+
+    /**
+     * @param {Array<string|null>} path
+     * @param {number} code
+     * @param {string} notification
+     * @return {Object}
+     * @private
+     */
+    _succeeded(path, code, notification) {
+        return { path, code, notification, failed: false };
+    }
+
+    /**
+     * @param {SimulatedFailure} failure
+     * @param {Array<string|null>} path
+     * @param {number} code
+     * @param {string} notification
+     * @return {Object|null}
+     * @private
+     */
+    _failed(failure, path, code, notification) {
+        if (failure.silent) {
+            return null;
+        }
+
+        return { path, code, notification: failure.reason ?? notification, failed: true };
+    }
+
+    /**
+     * Signs and publishes a message on behalf of the node.
+     *
+     * @param {string} topic
+     * @param {Array<string|null>} path
+     * @param {string} type
+     * @param {Object} data
+     * @return {Promise<void>}
+     * @private
+     */
+    async _send(topic, path, type, data) {
+        const message = await this.naeuralBC.sign({
+            EE_PAYLOAD_PATH: path,
+            EE_EVENT_TYPE: type,
+            EE_MESSAGE_SEQ: ++this.messageSeq,
+            EE_TIMESTAMP: new Date().toISOString(),
+            ...data,
+        });
+
+        return this.transport.publish(topic, message);
+    }
+
+    /**
+     * @return {string}
+     * @private
+     */
+    _getCommandsTopic() {
+        return `lummetry/${this.name}/config`;
+    }
+}
@@ -0,0 +1,243 @@
+import EventEmitter2 from 'eventemitter2';
+import { Transport } from './transport.js';
+
+/**
+ * Returns `true` if the `topic` matches the MQTT-style subscription `filter`, supporting the `+` and `#` wildcards.
+ *
+ * @param {string} filter
+ * @param {string} topic
+ * @return {boolean}
+ */
+const topicMatches = (filter, topic) => {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') {
+            return true;
+        }
+
+        if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+            return false;
+        }
+    }
+
+    return filterLevels.length === topicLevels.length;
+};
+
+/**
+ * @class InMemoryBroker
+ *
+ * An in-process message broker to be used with `InMemoryTransport`s. It allows tests and demos to inject messages
+ * as if they were received from the network and to inspect all the published messages. Every published message is
+ * also emitted as a `publish` event with the topic and the message.
+ */
+export class InMemoryBroker extends EventEmitter2 {
+    /**
+     * The active subscriptions.
+     *
+     * @type {Array<{transport: InMemoryTransport, topic: string}>}
+     * @private
+     */
+    subscriptions = [];
+
+    /**
+     * The history of all the published messages.
+     *
+     * @type {Array<{topic: string, message: string, timestamp: number}>}
+     * @private
+     */
+    published = [];
+
+    /**
+     * Subscribes the `transport` to the `topic`.
+     *
+     * @param {InMemoryTransport} transport
+     * @param {string} topic
+     * @return {InMemoryBroker}
+     */
+    subscribe(transport, topic) {
+        this.subscriptions.push({ transport, topic });
+
+        return this;
+    }
+
+    /**
+     * Removes all the subscriptions of the `transport`.
+     *
+     * @param {InMemoryTransport} transport
+     * @return {InMemoryBroker}
+     */
+    unsubscribeAll(transport) {
+        this.subscriptions = this.subscriptions.filter((subscription) => subscription.transport !== transport);
+
+        return this;
+    }
+
+    /**
+     * Publishes the `message` on the `topic`, delivering it asynchronously to all the connected subscribers.
+     *
+     * @param {string} topic
+     * @param {string} message
+     * @return {InMemoryBroker}
+     */
+    publish(topic, message) {
+        this.published.push({ topic, message, timestamp: new Date().getTime() });
+        this.emit('publish', topic, message);
+
+        const payload = new TextEncoder().encode(message);
+        const recipients = new Set(
+            this.subscriptions
+                .filter((subscription) => topicMatches(subscription.topic, topic))
+                .map((subscription) => subscription.transport),
+        );
+
+        recipients.forEach((transport) => {
+            Promise.resolve().then(() => transport.deliver(topic, payload));
+        });
+
+        return this;
+    }
+
+    /**
+     * Injects a message as if it was published by another network participant. Objects are serialized as JSON.
+     *
+     * @param {string} topic
+     * @param {Object|string} message
+     * @return {InMemoryBroker}
+     */
+    inject(topic, message) {
+        return this.publish(topic, typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    /**
+     * Returns the messages published so far, optionally filtered by a subscription-like `filter`.
+     *
+     * @param {string|null} filter
+     * @return {Array<{topic: string, message: string, timestamp: number}>}
+     */
+    getPublished(filter = null) {
+        return this.published.filter((entry) => filter === null || topicMatches(filter, entry.topic));
+    }
+
+    /**
+     * Clears the history of published messages.
+     *
+     * @return {InMemoryBroker}
+     */
+    clearPublished() {
+        this.published = [];
+
+        return this;
+    }
+}
+
+/**
+ * @class InMemoryTransport
+ *
+ * A transport connecting to an `InMemoryBroker`, without any network access.
+ */
+export class InMemoryTransport extends Transport {
+    /**
+     * The broker this transport is connected to.
+     *
+     * @type {InMemoryBroker}
+     * @private
+     */
+    broker;
+
+    /**
+     * Connection status.
+     *
+     * @type {boolean}
+     * @private
+     */
+    connected = false;
+
+    /**
+     * The InMemoryTransport constructor.
+     *
+     * @param {InMemoryBroker} broker
+     */
+    constructor(broker) {
+        super();
+        this.broker = broker;
+    }
+
+    /**
+     * Returns a transport factory to be used in the network client's `transport` boot option.
+     *
+     * @param {InMemoryBroker} broker
+     * @return {function(): InMemoryTransport}
+     */
+    static factory(broker) {
+        return () => new InMemoryTransport(broker);
+    }
+
+    connect() {
+        Promise.resolve().then(() => {
+            this.connected = true;
+            this.emit('connect');
+        });
+
+        return this;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    subscribe(topic) {
+        this.broker.subscribe(this, topic);
+
+        return Promise.resolve();
+    }
+
+    publish(topic, message) {
+        if (!this.connected) {
+            return Promise.reject(new Error('In-memory transport is not connected.'));
+        }
+
+        this.broker.publish(topic, message);
+
+        return Promise.resolve();
+    }
+
+    reconnect() {
+        return this.connect();
+    }
+
+    end() {
+        this.broker.unsubscribeAll(this);
+        this.drop();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Simulates a lost connection. Subscriptions are kept, so they are active again after reconnecting.
+     *
+     * @return {InMemoryTransport}
+     */
+    drop() {
+        if (this.connected) {
+            this.connected = false;
+            this.emit('close');
+        }
+
+        return this;
+    }
+
+    /**
+     * Delivers a message received from the broker.
+     *
+     * @param {string} topic
+     * @param {Uint8Array} payload
+     * @private
+     */
+    deliver(topic, payload) {
+        if (this.connected) {
+            this.emit('message', topic, payload);
+        }
+    }
+}
@@ -0,0 +1,80 @@
+import mqtt from 'mqtt';
+import { Transport } from './transport.js';
+
+/**
+ * @class MqttTransport
+ *
+ * The default transport, connecting to an MQTT broker.
+ */
+export class MqttTransport extends Transport {
+    /**
+     * The MQTT connection options.
+     *
+     * @type {{url: string, username: string, password: string}}
+     * @private
+     */
+    options;
+
+    /**
+     * The underlying MQTT client.
+     *
+     * @type {MqttClient|null}
+     * @private
+     */
+    client = null;
+
+    /**
+     * The MqttTransport constructor.
+     *
+     * @param {{url: string, username: string, password: string}} options
+     */
+    constructor(options) {
+        super();
+        this.options = options;
+    }
+
+    connect() {
+        this.client = mqtt.connect(this.options.url, {
+            username: this.options.username,
+            password: this.options.password,
+            clean: true,
+            clientId: null,
+            reconnectPeriod: 0,
+        });
+
+        this.client.on('connect', () => this.emit('connect'));
+        this.client.on('close', () => this.emit('close'));
+        this.client.on('error', (error) => this.emit('error', error));
+        this.client.on('message', (topic, payload) => this.emit('message', topic, payload));
+
+        return this;
+    }
+
+    isConnected() {
+        return this.client?.connected === true;
+    }
+
+    subscribe(topic) {
+        return new Promise((resolve, reject) => {
+            this.client.subscribe(topic, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    publish(topic, message) {
+        return new Promise((resolve, reject) => {
+            this.client.publish(topic, message, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    reconnect() {
+        this.client.reconnect();
+
+        return this;
+    }
+
+    end() {
+        return new Promise((resolve) => {
+            this.client.end(false, {}, () => resolve());
+        });
+    }
+}
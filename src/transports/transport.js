@@ -0,0 +1,72 @@
+import EventEmitter2 from 'eventemitter2';
+
+/**
+ * @class Transport
+ *
+ * The contract for the network transports used by the NaeuralWebClient. A transport handles one connection to the
+ * messaging infrastructure and emits the following events:
+ * - `connect` when the connection is (re)established
+ * - `close` when the connection is lost or closed
+ * - `error` with the encountered error
+ * - `message` with the topic and the raw payload (`Uint8Array`) of each received message
+ *
+ * Implementations should not reconnect on their own, the reconnect policy is handled by the network client.
+ */
+export class Transport extends EventEmitter2 {
+    /**
+     * Opens the connection.
+     *
+     * @return {Transport}
+     */
+    connect() {
+        throw new Error('Transport.connect() is not implemented.');
+    }
+
+    /**
+     * Returns `true` if the connection is established.
+     *
+     * @return {boolean}
+     */
+    isConnected() {
+        throw new Error('Transport.isConnected() is not implemented.');
+    }
+
+    /**
+     * Subscribes to the provided `topic`.
+     *
+     * @param {string} topic
+     * @return {Promise<void>}
+     */
+    subscribe(topic) {
+        return Promise.reject(new Error('Transport.subscribe() is not implemented.'));
+    }
+
+    /**
+     * Publishes the `message` on the provided `topic`.
+     *
+     * @param {string} topic
+     * @param {string} message
+     * @return {Promise<void>}
+     */
+    publish(topic, message) {
+        return Promise.reject(new Error('Transport.publish() is not implemented.'));
+    }
+
+    /**
+     * Attempts to reestablish a lost connection.
+     *
+     * @return {Transport}
+     */
+    reconnect() {
+        throw new Error('Transport.reconnect() is not implemented.');
+    }
+
+    /**
+     * Closes the connection.
+     *
+     * @return {Promise<void>}
+     */
+    end() {
+        return Promise.reject(new Error('Transport.end() is not implemented.'));
+    }
+}
@@ -1 +1,4 @@
 export const words = ['abandoned','abilities','ability','able','aboriginal','abortion','about','above','abroad','absence','absent','absolute','absolutely','absorption','abstract','academic','academy','accent','accept','acceptable','acceptance','accepted','access','accessed','accessibility','accessible','accessories','accessory','accident','accommodate','accommodation','accompanied','accomplish','accomplished','accordance','accordingly','account','accountability','accreditation','accredited','accuracy','accurate','accurately','accused','achieve','achieved','achievement','acid','acknowledge','acknowledged','acne','acoustic','acquire','acquired','acquisition','acre','acrobat','across','acrylic','action','activated','activation','active','actively','activists','activities','activity','actor','actress','acts','actual','actually','acute','adaptation','adapted','adapter','adaptive','adaptor','added','addiction','addition','additional','additionally','address','addressed','addresses','adds','adequate','adjacent','adjust','adjustable','adjusted','adjustment','admin','administered','administration','administrative','administrator','admission','admit','admitted','adolescent','adopt','adopted','adoption','adult','advance','advanced','advancement','advantage','adventure','adverse','advert','advertise','advertisement','advertiser','advice','advise','advised','advisor','advisory','advocacy','advocate','adware','aerial','aerospace','affair','affect','affected','affiliate','affiliated','affiliation','afford','affordable','afraid','after','afternoon','afterwards','again','against','aged','agencies','agency','agenda','agent','ages','aggregate','aggressive','agree','agreed','agreement','agricultural','agriculture','ahead','aimed','aims','aircraft','airfare','airline','airplane','airport','alan','alarm','album','alcohol','alert','algebra','algorithm','alias','alice','alien','align','alignment','alike','alive','alleged','allergy','alliance','allied','allocated','allocation','allow','allowance','allowed','alloy','almost','alone','along','alpha','alphabetical','alpine','already','also','alter','altered','alternate','alternative','alternatively','although','alto','aluminium','aluminum','alumni','always','amateur','ambassador','amber','ambient','amend','amended','amendment','amenities','american','amino','among','amongst','amount','amplifier','analog','analyses','analysis','analyst','analytical','analyze','analyzed','anatomy','anchor','ancient','angel','angeles','anger','angle','angry','animal','animated','animation','anime','annex','annie','anniversary','annotated','annotation','announce','announced','announcement','annual','annually','anonymous','another','answer','answered','antarctica','antenna','anthropology','anti','antibodies','antibody','anticipated','antigua','antique','antivirus','anxiety','anybody','anymore','anyone','anytime','anyway','anywhere','apart','apartment','apparatus','apparel','apparent','apparently','appeal','appear','appearance','appeared','appendix','apple','appliance','applicable','applicant','application','applied','applies','apply','appointed','appointment','appraisal','appreciate','appreciated','appreciation','approach','approaches','appropriate','appropriations','approval','approve','approved','approx','approximate','approximately','apps','april','aqua','aquarium','aquatic','arbitrary','arbitration','arcade','arch','architect','architectural','architecture','archive','archived','arctic','area','arena','argue','argued','argument','arise','armed','armor','arms','army','around','arrange','arranged','arrangement','array','arrest','arrested','arrival','arrive','arrived','arrow','arthritis','article','artificial','artist','artistic','arts','artwork','asbestos','ascii','aside','asin','asked','asks','aspect','assembled','assembly','assess','assessed','assessment','asset','assign','assigned','assignment','assist','assistance','assistant','assisted','associate','associated','association','assume','assumed','assumption','assurance','assure','assured','asthma','astrology','astronomy','athletes','athletic','atlantic','atlas','atmosphere','atmospheric','atom','atomic','attach','attached','attachment','attack','attacked','attempt','attempted','attend','attendance','attended','attention','attitude','attorney','attract','attraction','attractive','attribute','auction','audi','audience','audio','audit','auditor','august','aurora','authentic','authentication','author','authorities','authority','authorization','authorized','auto','automated','automatic','automatically','automation','automobile','automotive','autumn','availability','available','avatar','avenue','average','aviation','avoid','award','awarded','aware','awareness','away','awesome','awful','axis','babe','babies','baby','bachelor','back','backed','background','backup','bacon','bacteria','bacterial','badge','badly','baghdad','bags','baker','balance','balanced','bald','ball','ballet','balloon','ballot','banana','band','bandwidth','bang','bank','bankruptcy','banned','banner','baptist','bare','barely','bargain','barn','barrel','barrier','bars','base','baseball','based','baseline','basement','basename','basic','basically','basin','basis','basket','basketball','bass','batch','bath','bathroom','batteries','battery','battle','battlefield','beach','beaches','beads','beam','bean','bear','beast','beat','beatles','beautiful','beautifully','beauty','beaver','became','because','become','bedroom','beds','beef','been','beer','before','began','begin','beginner','begun','behalf','behavior','behavioral','behaviour','behind','beings','belief','believe','believed','bell','belle','belly','belong','below','belt','bench','benchmark','bend','beneath','beneficial','benefit','berry','beside','best','bestsellers','beta','better','between','beverage','beyond','bias','bibliographic','bibliography','bicycle','bidder','bids','bigger','biggest','bike','bill','billion','binary','bind','bingo','biodiversity','biographies','biography','biological','biology','bios','biotechnology','bird','birth','birthday','bishop','bite','bits','bizarre','black','blackberry','blade','blah','blair','blake','blame','blank','blanket','blast','blend','bless','blessed','blind','blink','block','blocked','blog','blogger','blond','blonde','bloom','blue','bluetooth','blvd','board','boat','bobby','bodies','body','bold','bolt','bond','bone','bonus','book','bookings','bookmark','bookstore','bool','boolean','boom','boost','boot','booth','border','bored','born','borough','boss','both','bother','bottle','bottom','bought','boulder','boulevard','bound','boundaries','boundary','bouquet','boutique','bowl','boxed','boxes','boys','bracelet','bracket','brain','brake','branch','branches','brand','bras','brave','breach','bread','break','breakdown','breakfast','breath','breed','brick','bridal','bride','bridge','brief','briefly','bright','brilliant','brings','british','broad','broadband','broadcast','broader','broadway','brochure','broke','broken','broker','bronze','brook','bros','brother','brought','brown','browse','browser','brunette','brush','brutal','bubble','buck','buddy','budget','buffalo','buffer','bugs','build','builder','buildings','built','bulk','bull','bullet','bulletin','bumper','bunch','bundle','bunny','burden','bureau','buried','burn','burner','burst','buses','bush','business','businesses','busy','butler','butter','butterfly','button','buyer','buys','buzz','byte','cabin','cabinet','cable','cache','cached','cafe','cage','cake','calcium','calculate','calculated','calculation','calculator','calendar','calibration','calif','call','called','calm','camcorder','came','camel','camera','camp','campaign','campus','cams','canadian','canal','cancel','cancellation','cancelled','cancer','candidate','candle','candy','cant','canvas','canyon','capabilities','capability','capable','capacity','cape','capital','capitol','caps','captain','capture','captured','carb','carbon','card','cardiac','cardiovascular','care','career','careful','carefully','carey','cargo','carl','carlo','carnival','carpet','carried','carrier','carries','carry','cars','cart','cartoon','cartridge','casa','case','cash','cashiers','casino','casio','cassette','cast','castle','casual','catalog','catalogue','catalyst','catch','categories','category','cathedral','cats','cattle','caught','cause','caused','caution','cave','cedar','celebrate','celebration','celebrities','celebrity','celebs','cell','cellular','celtic','cement','cemetery','census','cent','center','centered','central','centre','centuries','century','ceramic','ceremony','certain','certainly','certificate','certification','certified','cest','chad','chain','chair','chairman','challenge','challenged','chamber','champagne','champion','championship','chan','chance','chancellor','change','changed','changelog','channel','chaos','chapel','chapter','char','character','characteristic','characterization','characterized','charge','charged','charger','charitable','charity','charm','chart','charter','chase','chassis','chat','cheap','cheaper','cheapest','cheat','check','checked','checklist','checkout','cheers','cheese','chef','chem','chemical','chemistry','chen','cheque','cherry','chess','chest','chester','chevrolet','chevy','chicago','chick','chicken','chief','child','childhood','children','chip','chocolate','choice','choir','cholesterol','choose','chorus','chose','chosen','christmas','chrome','chronic','chronicle','chubby','chuck','church','churches','ciao','cinema','circle','circuit','circular','circulation','circumstances','circus','citation','cite','cited','cities','citizen','citizenship','city','civic','civil','civilian','civilization','claim','claimed','claire','clan','clarity','class','classes','classic','classical','classification','classified','classroom','clause','clay','clean','cleaner','cleanup','clear','clearance','cleared','clearly','clerk','click','client','cliff','climate','climb','clinic','clinical','clip','clock','clone','close','closed','closely','closer','closest','closure','cloth','clothes','cloud','cloudy','club','cluster','coach','coaches','coal','coalition','coast','coastal','coat','coated','code','coffee','cognitive','coin','cold','collaboration','collaborative','collapse','collar','colleague','collect','collectables','collected','collectible','collection','collective','collector','college','collins','colon','colonial','colony','color','colored','colour','column','columnists','combat','combination','combine','combined','combo','come','comedy','comfort','comfortable','comic','comm','command','commander','comment','commentary','commented','commerce','commercial','commission','commissioner','commit','commitment','committed','committee','commodities','commodity','common','commonly','commonwealth','communicate','communication','communist','communities','community','comp','compact','companies','companion','company','comparable','comparative','compare','compared','comparison','compatibility','compatible','compensation','compete','competent','competition','competitive','competitors','compilation','compile','compiled','compiler','complaint','complement','complete','completed','completely','completion','complex','complexity','compliance','compliant','complicated','complications','complimentary','comply','component','composed','composer','composite','composition','compound','comprehensive','compressed','compression','compromise','computation','computational','compute','computed','computer','concentrate','concentration','concept','conceptual','concern','concerned','concert','conclude','concluded','conclusion','concord','concrete','condition','conditional','condo','conduct','conducted','conf','conference','confidence','confident','confidential','confidentiality','config','configuration','configure','configured','confirm','confirmation','confirmed','conflict','confused','confusion','congratulations','congress','congressional','conjunction','connect','connected','connection','connectivity','connector','cons','conscious','consciousness','consecutive','consensus','consent','consequence','consequently','conservation','conservative','consider','considerable','consideration','considered','consist','consistency','consistent','consistently','console','consolidated','consolidation','consortium','conspiracy','const','constant','constantly','constitute','constitution','constitutional','constraint','construct','constructed','construction','consult','consultancy','consultant','consultation','consumer','consumption','contact','contacted','contain','contained','container','contamination','contemporary','content','contest','context','continent','continental','continually','continue','continued','continuity','continuous','continuously','contract','contractor','contrary','contrast','contribute','contributed','contribution','contributor','control','controlled','controller','controversial','controversy','convenience','convenient','convention','conventional','convergence','conversation','conversion','convert','converted','converter','convertible','convicted','conviction','convinced','cook','cookbook','cooked','cookie','cool','cooler','cooper','cooperation','cooperative','coordinate','coordinated','coordination','coordinator','cope','copied','copies','copper','copy','copyright','copyrighted','coral','cord','cordless','core','cork','corn','corner','corp','corporate','corporation','corpus','correct','corrected','correction','correctly','correlation','correspondence','cosmetic','cost','costume','cottage','cotton','could','council','counsel','count','counted','counter','counties','countries','country','county','couple','coupled','coupon','courage','courier','course','court','courtesy','cove','cover','coverage','covered','cowboy','crack','cradle','craft','crash','crawford','crazy','cream','create','created','creation','creative','creativity','creator','creature','credit','creek','crest','crew','cricket','crisis','criteria','criterion','critical','criticism','critics','crop','cross','crossword','crowd','crown','crucial','crude','cruise','crystal','cube','cubic','cuisine','cult','cultural','culture','cumulative','cups','cure','curious','currencies','currency','current','currently','curriculum','cursor','curve','custody','custom','customer','customise','customize','customized','cute','cuts','cyber','cycle','cylinder','czech','daddy','daily','dairy','daisy','damage','damaged','dame','dance','danger','dangerous','daniel','danish','danny','dans','dare','dark','darkness','dash','data','database','date','dated','daughter','dawn','days','dead','deadline','deadly','deaf','deal','dealer','dealt','dean','dear','debate','debt','debug','debut','decade','december','decent','decide','decided','decimal','decision','deck','declaration','declare','declared','decline','declined','decor','decorative','decrease','decreased','dedicated','deemed','deep','deeper','deeply','deer','default','defeat','defects','defence','defend','defendant','defense','defensive','deferred','deficit','define','defined','definitely','definition','degree','delay','delayed','delegation','delete','deleted','delicious','delight','deliver','delivered','delivery','delta','deluxe','demand','demo','democracy','democrat','democratic','demographic','demonstrate','demonstrated','demonstration','denial','denied','dense','density','dental','dentists','deny','department','departmental','departure','depend','dependence','dependent','deployment','deposit','depot','dept','depth','deputy','derby','derived','describe','described','description','desert','deserve','design','designated','designation','designed','designer','desirable','desire','desired','desk','desktop','desperate','despite','destination','destiny','destroy','destroyed','destruction','detail','detailed','detect','detected','detection','detective','detector','determination','determine','determined','develop','developed','developer','development','developmental','deviant','deviation','device','devoted','diagnosis','diagnostic','diagram','dial','dialog','dialogue','diameter','diamond','diary','dice','dictionaries','dictionary','died','diego','dies','diesel','diet','dietary','diff','differ','difference','different','differential','differently','difficult','difficulties','difficulty','digest','digit','digital','dimension','dimensional','dinner','diploma','direct','directed','direction','directive','directly','director','directories','directory','dirt','dirty','disabilities','disability','disable','disabled','disagree','disappointed','disaster','disc','discharge','disciplinary','discipline','disclaimer','disclose','disclosure','disco','discount','discounted','discover','discovered','discovery','discrete','discretion','discrimination','discuss','discussed','discusses','discussion','disease','dish','dishes','disk','disorder','dispatch','dispatched','display','displayed','disposal','disposition','dispute','dist','distance','distant','distinct','distinction','distinguished','distribute','distributed','distribution','distributor','district','disturbed','dive','diverse','diversity','divide','divided','dividend','divine','division','divorce','dock','docs','doctor','doctrine','document','documentary','documentation','documented','dodge','does','dogs','doll','dollar','domain','dome','domestic','dominant','donald','donate','donated','donation','done','donor','dont','doom','door','dosage','dose','double','doubt','dover','down','download','downloadable','downloaded','downtown','dozen','draft','drag','dragon','drain','drainage','drama','dramatic','dramatically','draw','drawings','drawn','dream','dress','dressed','dresses','drew','dried','drill','drink','drive','driven','driver','drop','dropped','drove','drug','drum','drunk','dryer','dual','dublin','duck','dude','duke','dump','duplicate','durable','duration','dust','dutch','duties','duty','dvds','dynamic','each','eagle','earl','earlier','earliest','early','earn','earned','earnings','earrings','ears','earth','earthquake','ease','easier','easily','east','easter','eastern','easy','ebay','ebony','ebook','echo','eclipse','ecological','ecology','ecommerce','economic','economies','economy','eden','edge','edit','edited','edition','editor','editorial','educated','education','educational','educators','effect','effective','effectively','effectiveness','efficiency','efficient','efficiently','effort','eggs','eight','either','elder','elderly','elect','elected','election','electoral','electric','electrical','electricity','electron','electronic','elegant','element','elementary','elephant','elevation','eleven','eligibility','eligible','eliminate','elimination','elite','else','elsewhere','email','embassy','embedded','emerald','emergency','emission','emotional','emotions','emperor','emphasis','empire','empirical','employ','employed','employee','employer','employment','empty','enable','enabled','enclosed','enclosure','encounter','encountered','encourage','encouraged','encryption','encyclopedia','endangered','ended','endless','endorsed','endorsement','ends','enemies','enemy','energy','enforcement','engage','engaged','engagement','engine','engineer','english','enhance','enhanced','enhancement','enjoy','enjoyed','enlarge','enlargement','enormous','enough','enquiries','enquiry','enrolled','enrollment','ensemble','ensure','enter','entered','enterprise','entertainment','entire','entirely','entities','entitled','entity','entrance','entrepreneur','entries','entry','envelope','environment','environmental','enzyme','epic','episode','equal','equality','equally','equation','equilibrium','equipment','equipped','equity','equivalent','error','escape','especially','essay','essence','essential','essentially','essex','establish','established','establishment','estate','estimate','estimated','estimation','eternal','ethernet','ethical','ethics','ethnic','euro','european','eval','evaluate','evaluated','evaluation','evans','even','event','eventually','ever','every','everybody','everyday','everyone','everywhere','evidence','evident','evil','evolution','exact','exactly','exam','examination','examine','examined','example','exceed','excel','excellence','excellent','except','exception','exceptional','excerpt','excess','excessive','exchange','excited','excitement','exclude','excluded','exclusion','exclusive','exclusively','excuse','exec','execute','executed','execution','executive','exempt','exemption','exercise','exhaust','exhibit','exhibition','exist','existed','existence','exit','exotic','expand','expanded','expansion','expect','expectations','expected','expenditure','expense','expensive','experience','experienced','experiment','experimental','expert','expertise','expiration','expired','expires','explain','explained','explanation','explicit','explicitly','exploration','explore','explorer','explosion','expo','export','exposed','exposure','express','expressed','expression','extend','extended','extension','extensive','extent','exterior','external','extra','extract','extraction','extraordinary','extreme','extremely','eyed','eyes','fabric','fabulous','face','faced','facial','facilitate','facilities','facility','fact','factor','factory','faculty','fail','failed','failure','fair','fairfield','fairly','fairy','faith','fake','fall','fallen','false','fame','familiar','families','family','famous','fancy','fans','fantastic','fantasy','faqs','fare','farm','farmer','fashion','fast','faster','fastest','fate','father','fault','favor','favorite','favour','favourite','fear','feat','feature','featured','february','federal','federation','feed','feedback','feel','feelings','fees','feet','fell','fellow','fellowship','felt','female','fence','ferry','festival','fever','fewer','fiber','fibre','fiction','field','fifteen','fifth','fifty','fight','fighter','figure','figured','file','filed','filename','fill','filled','film','filter','final','finally','finance','financial','find','finder','findings','fine','finest','finger','finish','finished','finite','fire','fired','fireplace','firewall','firewire','firm','firmware','first','fiscal','fish','fisher','fisheries','fist','fitness','fits','fitted','five','fixed','fixes','fixtures','flag','flame','flash','flashers','flat','flavor','fleece','fleet','flesh','flex','flexibility','flexible','flight','flip','float','flood','floor','floppy','floral','florist','flour','flow','flower','fluid','flush','flux','flyer','foam','focal','focus','focused','focuses','fold','folder','folk','follow','followed','font','food','fool','foot','footage','football','footwear','forbidden','force','forced','forecast','foreign','forest','forestry','forever','forge','forget','forgot','forgotten','fork','form','formal','format','formation','formed','former','formerly','formula','fort','forth','fortune','forty','forum','forward','fossil','foster','fought','foul','found','foundation','founded','founder','fountain','four','fourth','fraction','fragrance','frame','framed','framework','franchise','fraud','free','freedom','freelance','freely','freeware','freeze','freight','french','frequencies','frequency','frequent','frequently','fresh','friday','fridge','friend','friendly','friendship','frog','from','front','frontier','frontpage','frost','frozen','fruit','fuel','full','fully','function','functional','functionality','fund','fundamental','funded','funk','funky','funny','furnished','furnishings','furniture','further','furthermore','fusion','future','fuzzy','gadgets','gage','gain','gained','galaxy','gale','galleries','gallery','game','gamma','gang','gaps','garage','garbage','garden','garlic','gasoline','gate','gateway','gather','gathered','gauge','gave','gazette','gear','geek','gender','gene','genealogy','general','generally','generate','generated','generation','generator','generic','generous','genesis','genetic','genius','genome','genre','gentle','gentleman','gently','genuine','geographic','geographical','geography','geological','geology','geometry','german','gets','ghost','giant','gibson','gift','gilbert','girl','girlfriend','give','given','glad','glance','glasgow','glass','glasses','glen','glenn','global','globe','glory','glossary','gloves','glow','glucose','gnome','goal','goat','gods','goes','gold','golden','golf','gone','gonna','good','gordon','gorgeous','gospel','gossip','gothic','goto','gotta','gotten','gourmet','governance','government','governmental','governor','grab','grace','grad','grade','gradually','graduate','graduated','graduation','grain','grammar','grams','grand','grande','granny','grant','granted','graph','graphic','graphical','gras','grateful','gratis','grave','gravity','gray','great','greater','greatest','greatly','greek','green','greene','greenhouse','greetings','grew','grey','grid','griffin','grill','grip','grocery','groove','gross','ground','groundwater','group','grove','grow','grown','growth','guarantee','guaranteed','guard','guardian','guess','guest','guestbook','guidance','guide','guided','guidelines','guild','guilty','guitar','gulf','guru','guys','habitat','habits','hack','hacker','hair','hairy','half','hall','halloween','halo','hammer','hand','handbags','handbook','handed','handheld','handle','handled','handmade','handy','hans','hansen','happen','happened','happiness','happy','harbor','harbour','hard','hardcore','hardcover','harder','hardly','hardware','hardwood','harm','harmful','harmony','hart','harvest','harvey','hash','hate','hats','have','hawk','hayes','hazard','hazardous','head','headed','header','headline','headphones','headquarters','headset','health','healthcare','healthy','hear','heard','hearings','heart','heat','heated','heater','heath','heather','heavily','heavy','heel','height','held','helen','helena','helicopter','hello','helmet','help','helped','helpful','hence','henderson','henry','herald','herb','herbal','here','hereby','herein','heritage','hero','heroes','herself','hidden','hide','hierarchy','high','higher','highest','highland','highlight','highlighted','highly','highway','hill','himself','hint','hire','hired','historic','historical','history','hits','hobbies','hobby','hockey','hold','holder','holdings','hole','holiday','holland','hollow','holly','hollywood','holmes','holocaust','holy','home','homeland','homeless','homepage','hometown','homework','honest','honey','honor','hood','hook','hope','hoped','hopefully','hopkins','horizon','horizontal','hormone','horn','horrible','horror','horse','hose','hospital','hospitality','host','hosted','hostel','hotel','hottest','hour','hourly','house','household','housewares','housewives','houston','howard','however','howto','html','http','huge','hughes','hugo','hull','human','humanitarian','humanities','humanity','humidity','humor','hundred','hung','hunger','hungry','hunt','hunter','huntington','hurricane','hurt','husband','hybrid','hydraulic','hydrogen','hygiene','hypothesis','hypothetical','icon','idea','ideal','identical','identification','identified','identifier','identifies','identify','identity','idle','idol','ignore','ignored','illegal','illness','illustrated','illustration','image','imagination','imagine','immediate','immediately','immigrants','immigration','immune','immunology','impact','impaired','imperial','implement','implementation','implemented','implications','implied','implies','import','importance','important','importantly','imported','impose','imposed','impossible','impressed','impression','impressive','improve','improved','improvement','inbox','incentive','inch','inches','incidence','incident','include','included','inclusion','inclusive','income','incomplete','incorporate','incorporated','incorrect','increase','increased','increasingly','incredible','incurred','indeed','independence','independent','independently','index','indexed','indexes','indian','indicate','indicated','indication','indicator','indices','indie','indigenous','indirect','individual','individually','indoor','induced','induction','industrial','industries','industry','inexpensive','infant','infected','infection','infectious','infinite','inflation','influence','influenced','info','inform','informal','information','informational','informative','informed','infrared','infrastructure','ingredients','inherited','initial','initially','initiated','initiative','injection','injured','injuries','injury','inline','inner','innocent','innovation','innovative','input','inquire','inquiries','inquiry','insects','insert','inserted','insertion','inside','insider','insight','inspection','inspector','inspiration','inspired','install','installation','installed','instance','instant','instantly','instead','institute','institution','institutional','instruction','instructional','instructor','instrument','instrumental','instrumentation','insulin','insurance','insured','intake','integer','integral','integrate','integrated','integration','integrity','intellectual','intelligence','intelligent','intend','intended','intense','intensity','intensive','intent','intention','inter','interact','interaction','interactive','interest','interested','interface','interference','interim','interior','intermediate','internal','international','internationally','internet','internship','interpretation','interpreted','intersection','interstate','interval','intervention','interview','intimate','into','intranet','intro','introduce','introduced','introduction','introductory','invalid','invention','inventory','invest','investigate','investigated','investigation','investigator','investment','investor','invisible','invision','invitation','invite','invited','invoice','involve','involved','involvement','irish','iron','irrigation','islamic','island','isle','isolated','isolation','issue','issued','italia','italian','italiano','italic','item','itself','ivory','jacket','jade','jaguar','jail','january','java','javascript','jazz','jets','jewel','jewellery','jobs','join','joined','joint','joke','journal','journalism','journalist','journey','judge','judgment','judicial','juice','july','jump','junction','june','jungle','junior','junk','jurisdiction','jury','just','justice','justify','juvenile','karaoke','karma','keen','keep','keno','kept','kernel','keyboard','keys','keyword','kick','kidney','kids','kilometers','kinase','kind','kinda','kingdom','kings','kirk','kiss','kitchen','kits','kitty','klein','knee','knew','knight','knit','knock','know','knowledge','known','kong','label','labeled','labor','laboratories','laboratory','labour','labs','lace','lack','ladder','laden','ladies','lady','laid','lake','lamb','lambda','lamp','lance','land','landscape','lane','lang','language','lanka','laptop','large','largely','larger','largest','laser','last','late','lately','later','latest','latex','latin','latitude','latter','laugh','launch','launched','launches','laundry','lawn','laws','lawsuit','lawyer','layer','layout','lazy','lead','leader','leadership','leaf','league','lean','learn','learned','learners','lease','least','leather','leave','lecture','leeds','left','legacy','legal','legally','legend','legendary','legislation','legislative','legislature','legitimate','legs','leisure','lemon','lender','length','lens','lenses','less','lesser','lesson','lets','letter','level','levy','liabilities','liability','liable','liberal','liberty','librarian','libraries','library','libs','licence','license','licensed','lies','life','lifestyle','lifetime','lift','light','lighter','lightweight','like','liked','likelihood','likely','likewise','lime','limit','limitation','limited','limousines','line','linear','lined','lingerie','link','linked','lion','lips','liquid','list','listed','listen','listings','lite','literacy','literally','literary','literature','litigation','little','live','lived','liver','livestock','load','loaded','loan','lobby','local','locale','locally','locate','located','location','locator','lock','locked','lodge','logan','logged','logic','logical','login','logistics','logo','logs','lone','lonely','long','longer','longest','longitude','look','looked','lookup','loop','loose','lord','lose','loss','losses','lost','lots','lottery','lotus','loud','lounge','love','loved','lovely','lover','lower','lowest','lows','luck','lucky','luggage','luis','luke','lunch','lung','luxury','lyric','machine','machinery','macro','made','madness','magazine','magic','magical','magnet','magnetic','magnificent','magnitude','maiden','mail','mailed','mailman','main','maine','mainland','mainly','mainstream','maintain','maintained','maintenance','major','majority','make','maker','makeup','male','mall','malpractice','mambo','manage','managed','management','manager','mandate','mandatory','manga','manner','manor','manual','manually','manufacture','manufactured','manufacturer','many','maple','maps','marathon','marble','march','margin','marina','marine','maritime','mark','marked','marker','market','marketplace','marriage','married','mars','marshall','mart','martial','marvel','mary','mask','mason','mass','massage','massive','match','matched','matches','mate','material','maternity','math','mathematical','mathematics','matrix','mats','matter','mattress','mature','maximize','maximum','maybe','mayor','meal','mean','meaningful','meant','meanwhile','measure','measured','measurement','meat','mechanical','mechanics','mechanism','medal','media','median','medical','medication','medicine','medieval','meditation','mediterranean','medium','meet','meetings','meetup','mega','member','membership','membrane','memo','memorabilia','memorial','memories','memory','mens','mental','mention','mentioned','mentor','menu','merchandise','merchant','mercury','mercy','mere','merely','merge','merger','merit','merry','mesa','mesh','mess','message','messenger','metabolism','metadata','metal','metallic','meter','method','methodology','metres','metric','metro','metropolitan','mexican','meyer','mice','micro','microphone','microwave','middle','midi','midlands','midnight','midwest','might','mighty','migration','milan','mild','mile','mileage','military','milk','mill','millennium','million','mime','mind','mine','mineral','mini','miniature','minimal','minimize','minimum','minister','ministries','ministry','minor','minority','mint','minus','minute','miracle','mirror','misc','miscellaneous','miss','missed','missile','mission','mistake','mistress','mixed','mixer','mixture','mobile','mobility','mode','model','modem','moderate','moderator','modern','modification','modified','modify','mods','modular','module','moisture','mold','molecular','molecules','moment','momentum','moms','monday','monetary','money','monitor','monitored','monkey','mono','monster','monte','month','monthly','mood','moon','moore','moral','more','moreover','mortgage','moses','moss','most','mostly','motel','mother','motherboard','motion','motivated','motivation','motor','motorcycle','mount','mountain','mounted','mouse','mouth','move','moved','movement','movers','movie','much','multi','multimedia','multiple','municipal','municipality','murder','muscle','museum','music','musical','musician','must','mustang','mutual','myself','mysterious','mystery','myth','nail','name','named','namely','namespace','nano','narrative','narrow','nasty','nation','national','nationally','nationwide','native','natural','naturally','nature','naughty','naval','navigate','navigation','navigator','navy','near','nearby','nearest','nearly','necessarily','necessary','necessity','neck','necklace','need','needed','needle','negative','negotiation','neighbor','neighborhood','neither','neon','nerve','nervous','nest','nested','network','neural','neutral','never','nevertheless','newark','newbie','newer','newest','newly','newport','news','newsletter','newspaper','newton','next','niagara','nice','nick','nickel','nickname','night','nightlife','nightmare','nine','nirvana','nitrogen','noble','nobody','node','noise','nominated','nomination','none','nonprofit','noon','norfolk','norm','normal','normally','norman','north','northeast','northern','northwest','norwegian','nose','note','notebook','noted','notice','noticed','notification','notified','notify','notion','notre','nova','novel','novelty','november','nowhere','nuclear','null','number','numeric','numerical','numerous','nurse','nursery','nutrition','nutritional','nuts','nylon','oaks','oasis','object','objective','obligation','observation','observe','observed','observer','obtain','obtained','obvious','obviously','occasion','occasional','occasionally','occupation','occupational','occupied','occur','occurred','occurrence','ocean','october','odds','offense','offensive','offer','offered','offerings','office','officer','official','officially','offline','offset','offshore','often','oils','okay','older','oldest','olive','olympic','olympus','omega','omissions','once','ones','onion','online','only','onto','oops','open','opened','openings','opera','operate','operated','operation','operational','operator','opinion','opponent','opportunities','opportunity','opposed','opposite','opposition','optical','optics','optimal','optimization','optimize','optimum','option','optional','oracle','oral','orange','orbit','orchestra','order','ordered','ordinance','ordinary','oregon','organ','organic','organisation','organised','organisms','organization','organizational','organize','organized','organizer','oriental','orientation','oriented','origin','original','originally','other','otherwise','ought','ours','ourselves','outcome','outdoor','outer','outlet','outline','outlined','outlook','output','outreach','outside','oval','oven','over','overall','overcome','overhead','overnight','overseas','overview','owen','owned','owner','ownership','owns','oxide','oxygen','ozone','pace','pacific','pack','package','packard','packed','packet','pads','page','paid','pain','painful','paint','paintball','painted','paintings','pair','palace','pale','palm','palmer','panel','panic','pants','paper','paperback','para','parade','paradise','paragraph','parallel','parameter','parcel','parent','parental','paris','parish','park','parker','parliament','parliamentary','part','partial','partially','participant','participate','participated','participation','particle','particular','particularly','parties','partition','partly','partner','partnership','party','pass','passage','passed','passenger','passes','passion','passive','passport','password','past','pasta','paste','pastor','patch','patches','patent','path','pathology','patient','patio','patrol','pattern','pavilion','payable','payday','payment','payroll','pays','peace','peaceful','peak','pearl','peas','pediatric','peer','penalties','penalty','pencil','pendant','penguin','peninsula','penn','penny','pens','pension','people','pepper','perceived','percent','percentage','perception','perfect','perfectly','perform','performance','performed','performer','perfume','perhaps','period','periodic','periodically','peripheral','perl','permalink','permanent','permission','permit','permitted','persistent','person','personal','personality','personalized','personally','personnel','perspective','pest','pete','peter','petite','petition','petroleum','pets','phantom','pharmaceutical','pharmacies','pharmacology','pharmacy','phase','phenomenon','philosophy','phone','photo','photograph','photographer','photographic','photography','phrase','phys','physical','physically','physician','physics','physiology','piano','pick','picked','pickup','picnic','pics','picture','piece','pierce','pierre','pike','pill','pillow','pilot','pine','pink','pins','pioneer','pipe','pipeline','pirates','pitch','pixel','pizza','place','placed','placement','plain','plaintiff','plan','plane','planet','planned','planner','plant','plasma','plastic','plate','platform','platinum','play','playback','played','player','playlist','playstation','plaza','pleasant','please','pleased','pleasure','pledge','plenty','plot','plug','plugin','plus','pocket','podcast','poem','poet','poetry','point','pointed','pointer','polar','pole','police','policies','policy','polish','polished','political','politicians','politics','poll','pollution','polo','poly','polyester','polymer','polyphonic','pond','pool','pope','popular','popularity','population','porcelain','pork','port','portable','portal','porter','portfolio','portion','portrait','pose','position','positive','possess','possession','possibilities','possibility','possible','possibly','post','postage','postal','postcard','posted','poster','postings','potato','potatoes','potential','potentially','potter','pottery','poultry','pound','pour','poverty','powder','powell','power','powered','powerful','practical','practice','practitioner','prairie','praise','precious','precipitation','precise','precisely','precision','predict','predicted','prediction','prefer','preference','preferred','prefix','pregnancy','pregnant','preliminary','premier','premiere','premises','premium','prep','prepaid','preparation','prepare','prepared','prerequisite','prescribed','prescription','presence','present','presentation','presented','presently','preservation','preserve','president','presidential','press','pressed','pressure','preston','pretty','prev','prevent','prevention','preview','previous','previously','price','priced','pride','priest','primarily','primary','prime','prince','princess','principal','principle','print','printable','printed','printer','prior','priorities','priority','prison','prisoner','privacy','private','privilege','prize','probability','probably','probe','problem','proc','procedure','proceed','proceedings','process','processed','processes','processor','procurement','produce','produced','producer','product','production','productive','productivity','prof','profession','professional','professor','profile','profit','program','programme','programmer','progress','progressive','prohibited','project','projected','projection','projector','prominent','promise','promised','promo','promote','promoted','promotion','promotional','prompt','promptly','proof','proper','properly','properties','property','prophet','proportion','proposal','propose','proposed','proposition','proprietary','pros','prospect','prospective','protect','protected','protection','protective','protein','protest','protocol','prototype','proud','proudly','prove','proved','proven','provide','provided','providence','provider','province','provincial','provision','proxy','psychiatry','psychological','psychology','public','publication','publicity','publicly','publish','published','publisher','pubs','puerto','pull','pulled','pulse','pump','punch','punishment','punk','pupils','puppy','purchase','purchased','pure','purple','purpose','purse','pursuant','pursue','pursuit','push','pushed','puts','puzzle','python','quad','qualification','qualified','qualify','qualities','quality','quantitative','quantities','quantity','quantum','quarter','quarterly','queen','queries','query','quest','question','questionnaire','queue','quick','quickly','quiet','quilt','quit','quite','quiz','quizzes','quotations','quote','quoted','rabbit','race','rack','radar','radiation','radical','radio','radius','rage','raid','rail','railroad','railway','rain','rainbow','raise','raised','rally','ranch','rand','random','randy','range','rangers','rank','ranked','rankings','rapid','rapidly','rare','rarely','rate','rated','rather','ratings','ratio','rational','rats','rays','reach','reached','reaches','reaction','read','reader','readily','readings','ready','real','realistic','reality','realize','realized','really','realm','realtor','realty','rear','reason','reasonable','reasonably','rebate','rebel','rebound','recall','receipt','receive','received','receiver','recent','recently','reception','receptor','recipe','recipient','recognised','recognition','recognize','recognized','recommend','recommendation','recommended','reconstruction','record','recorded','recorder','recordings','recover','recovered','recovery','recreation','recreational','recruitment','redeem','redhead','reduce','reduced','reduction','reed','reef','reel','refer','reference','referenced','referral','referred','refinance','refine','refined','reflect','reflected','reflection','reform','refresh','refrigerator','refugees','refund','refurbished','refuse','regard','regarded','regardless','reggae','regime','region','regional','register','registered','registrar','registration','registry','regression','regular','regularly','regulated','regulation','regulatory','rehab','rehabilitation','reid','reject','rejected','relate','related','relation','relationship','relative','relatively','relax','relaxation','relay','release','released','relevance','relevant','reliability','reliable','reliance','relief','religion','reload','relocation','rely','remain','remainder','remained','remark','remarkable','remedies','remedy','remember','remembered','remind','reminder','remix','remote','removable','removal','remove','removed','renaissance','render','rendered','renew','renewable','renewal','rent','rental','repair','repeat','repeated','replace','replaced','replacement','replica','replication','replied','replies','reply','report','reported','reporter','repository','represent','representation','representative','represented','reprint','reproduce','reproduced','reproduction','reproductive','republic','republican','reputation','request','requested','require','required','requirement','rescue','research','researcher','reseller','reservation','reserve','reserved','reservoir','reset','residence','resident','residential','resist','resistance','resistant','resolution','resolve','resolved','resort','resource','respect','respected','respective','respectively','respiratory','respond','responded','respondent','response','responsibilities','responsibility','responsible','rest','restaurant','restoration','restore','restored','restrict','restricted','restriction','result','resulted','resume','retail','retailer','retain','retained','retention','retired','retirement','retreat','retrieval','retrieve','retrieved','retro','return','returned','reuters','reveal','revealed','revelation','revenge','revenue','reverse','review','reviewed','reviewer','revised','revision','revolution','revolutionary','reward','rhode','rhythm','ribbon','rice','rich','rick','rico','ride','rider','ridge','right','rings','ringtone','ripe','rise','risk','river','riverside','road','robot','robust','rock','rocket','rocky','role','roll','rolled','roller','roman','romance','romantic','roof','room','roommate','root','rope','ross','roster','rotary','rotation','rouge','rough','roughly','roulette','round','route','router','routine','rover','rows','royal','royalty','rubber','ruby','rugby','rugs','rule','ruled','runner','runs','runtime','rural','rush','sacred','sacrifice','safari','safe','safely','safer','safety','sage','said','sail','saint','sake','salad','salaries','salary','sale','salmon','salon','salt','salvation','samba','same','sample','sand','sandwich','sandy','sans','santa','sapphire','satellite','satin','satisfaction','satisfactory','satisfied','satisfy','saturday','saturn','sauce','savage','save','saved','saver','savings','says','scale','scan','scanned','scanner','scary','scenario','scene','scenic','schedule','scheduled','schema','scheme','scholar','scholarship','school','science','scientific','scientist','scoop','scope','score','scored','scottish','scout','scratch','screen','screensaver','screenshot','screw','script','scroll','scsi','scuba','sculpture','seafood','seal','sealed','sean','search','searched','searches','seas','season','seasonal','seat','second','secondary','secret','secretariat','secretary','section','sector','secure','secured','securely','securities','security','seed','seek','seeker','seem','seemed','seen','sees','sega','segment','select','selected','selection','selective','self','sell','seller','semester','semi','semiconductor','seminar','senate','senator','send','sender','senior','sense','sensitive','sensitivity','sensor','sent','sentence','separate','separated','separately','separation','sept','september','sequence','serial','series','serious','seriously','serum','serve','served','server','service','session','sets','settings','settle','settled','settlement','setup','seven','seventh','several','severe','shade','shadow','shaft','shake','shakespeare','shakira','shall','shame','shannon','shape','shaped','share','shared','shareholders','shareware','shark','sharon','sharp','shaved','shaw','shed','sheep','sheer','sheet','sheffield','shelf','shell','shelter','shepherd','sheriff','sherman','shield','shift','shine','ship','shipment','shipped','shirt','shock','shoe','shoot','shop','shopper','shore','short','shortcuts','shorter','shortly','shot','should','shoulder','show','showcase','showed','shower','shown','showtimes','shut','shuttle','sick','side','siemens','sierra','sight','sigma','sign','signal','signature','signed','significance','significant','significantly','signup','silence','silent','silicon','silk','silly','silver','similar','similarly','simple','simplified','simply','sims','simulation','simultaneously','since','singer','singh','single','sink','sister','site','sitemap','situated','situation','sixth','size','sized','skill','skilled','skin','skip','skirt','sleep','sleeve','slide','slideshow','slight','slightly','slim','slip','slope','slot','slow','slowly','small','smaller','smart','smell','smile','smith','smoke','smooth','snake','snap','snapshot','snow','snowboard','soap','soccer','social','societies','society','sociology','socket','socks','sodium','sofa','soft','softball','software','soil','solar','solaris','sold','soldier','sole','solely','solid','solo','solution','solve','solved','soma','some','somebody','somehow','someone','somerset','sometimes','somewhat','somewhere','song','sonic','sons','sony','soon','soonest','sophisticated','sorry','sort','sorted','sought','soul','sound','soundtrack','soup','source','south','southampton','southeast','southern','southwest','soviet','space','spam','span','spank','sparc','spare','spas','spatial','speak','speaker','spears','spec','special','specialist','specialized','specially','specialties','specialty','species','specific','specifically','specification','specified','specifies','specify','spectacular','spectrum','speech','speeches','speed','spell','spencer','spend','spent','sphere','spice','spider','spies','spin','spine','spirit','spiritual','spirituality','split','spoke','spoken','spokesman','sponsor','sponsored','sponsorship','sport','spot','spotlight','spouse','spray','spread','springer','springs','sprint','spyware','squad','square','stability','stable','stack','stadium','staff','stage','stainless','stakeholders','stamp','stand','standard','standings','star','start','started','starter','startup','stat','state','stated','statement','statewide','static','station','stationery','statistical','statistics','status','statute','statutory','stay','stayed','steady','steal','steam','steel','stem','step','stereo','stick','sticker','sticky','still','stock','stockings','stolen','stomach','stone','stood','stop','stopped','storage','store','stored','stories','storm','story','straight','strain','strand','strange','stranger','strap','strategic','strategies','strategy','stream','street','strength','strengthen','stress','stretch','strict','strictly','strike','strings','strip','stripes','stroke','strong','stronger','strongly','struck','struct','structural','structure','structured','struggle','stuart','stuck','stud','student','studied','studies','studio','study','stuff','stuffed','style','stylish','subcommittee','subdivision','subject','sublime','submission','submit','submitted','subscribe','subscriber','subscription','subsection','subsequent','subsequently','subsidiaries','subsidiary','substance','substantial','substantially','substitute','subtle','suburban','succeed','success','successful','successfully','such','sudan','sudden','suddenly','suffer','suffered','sufficient','sufficiently','sugar','suggest','suggested','suggestion','suit','suitable','suite','suited','sullivan','summaries','summary','summer','summit','sunday','sunglasses','sunny','sunrise','sunset','sunshine','super','superb','superintendent','superior','supervision','supervisor','supplement','supplemental','supplied','supplier','supplies','supply','support','supported','supporters','suppose','supposed','supreme','sure','surely','surf','surface','surge','surgeon','surgery','surgical','surname','surplus','surprise','surprised','surrey','surround','surrounded','surveillance','survey','survival','survive','survivor','suse','suspect','suspected','suspended','suspension','sustainability','sustainable','sustained','swap','sweet','swift','swim','switch','switched','switches','sword','symbol','sympathy','symphony','symposium','symptoms','sync','syndicate','syndication','syndrome','synopsis','syntax','synthesis','synthetic','system','systematic','table','tablet','tabs','tackle','tactics','tagged','tags','tail','take','taken','tale','talent','talented','talk','talked','tall','tamil','tampa','tank','tape','target','targeted','tariff','task','taste','tattoo','taught','taxation','taxes','taxi','taylor','teach','teacher','teaches','team','tear','tech','technical','technician','technique','techno','technological','technologies','technology','teddy','teen','teenage','teeth','telecom','telecommunications','telephone','telephony','telescope','television','tell','temp','temperature','template','temple','temporal','temporarily','temporary','tenant','tend','tender','tennis','tension','tent','term','terminal','termination','terminology','terrace','terrain','territories','territory','terry','test','testament','tested','testimonials','testimony','texas','text','textbook','textile','texture','than','thank','that','theater','theatre','thee','theft','their','them','theme','themselves','then','theology','theorem','theoretical','theories','theory','therapeutic','therapist','therapy','there','thereafter','thereby','therefore','thereof','thermal','thesaurus','these','thesis','they','thick','thickness','thin','things','think','third','thirty','this','thorough','thoroughly','those','thou','though','thought','thousand','thread','threaded','threat','threatened','three','threshold','thriller','throat','through','throughout','throw','thrown','thru','thumb','thumbnail','thunder','thursday','thus','ticket','tide','tied','tier','ties','tiger','tight','tile','till','timber','time','timeline','timely','timer','tiny','tips','tire','tired','tissue','titanium','titans','title','titled','tobago','today','toddler','together','toilet','token','told','tolerance','toll','tomato','tomatoes','tomorrow','tone','toner','tongue','tonight','tons','tony','took','tool','toolbar','toolbox','toolkit','tooth','topic','tops','toronto','total','totally','touch','touched','tough','tour','tourism','tourist','tournament','toward','tower','town','township','toys','trace','track','tracked','tracker','tract','tractor','tracy','trade','trademark','trader','tradition','traditional','traffic','trail','trailer','train','trained','trainer','trance','transaction','transcript','transcription','transfer','transferred','transform','transformation','transit','transition','translate','translated','translation','translator','transmission','transmit','transmitted','transparency','transparent','transport','transportation','trap','trash','travel','traveler','traveller','travis','tray','treasure','treasurer','treasury','treat','treated','treatment','treaty','tree','trek','tremendous','trend','trial','triangle','tribal','tribe','tribunal','tribune','tribute','trick','tried','tries','trim','trinity','trio','trip','triple','triumph','trivia','troops','tropical','trouble','trout','troy','truck','true','truly','trunk','trust','trusted','trustee','truth','tsunami','tube','tuition','tune','tuner','tunnel','turbo','turn','turned','turner','turtle','tutorial','twelve','twenty','twice','twiki','twin','twinks','twist','twisted','type','typical','typically','uganda','ugly','ultimate','ultimately','ultra','unable','unauthorized','unavailable','uncertainty','uncle','undefined','under','undergraduate','underground','understand','understood','undertake','undertaken','underwear','undo','unemployment','unexpected','unfortunately','unified','uniform','union','unique','unit','united','unity','universal','universe','universities','university','unix','unknown','unless','unlike','unlikely','unlimited','unlock','unnecessary','unsigned','unsubscribe','until','untitled','unto','unusual','unwrap','update','updated','upgrade','upload','uploaded','upon','upper','upset','urban','urge','urgent','usage','used','useful','user','username','uses','usual','usually','utilities','utility','utilization','utilize','utils','vacancies','vacation','vaccine','vacuum','valentine','valid','validation','validity','valley','valuable','valuation','value','valued','valve','vampire','vanilla','variable','variance','variation','varied','varies','variety','various','vary','vast','vault','vector','vegetable','vegetarian','vegetation','vehicle','velocity','velvet','vendor','venezuela','venice','venture','venue','verbal','verde','verification','verified','verify','vernon','verse','version','versus','vertex','vertical','very','vessel','veteran','veterinary','victorian','victory','video','vietnam','view','viewed','viewer','villa','village','vintage','vinyl','violin','viral','virtual','virtually','virtue','virus','viruses','visa','visibility','visible','vision','visit','visited','visitor','vista','visual','vital','vitamin','vocabulary','vocal','vocational','voice','void','volleyball','volt','voltage','volume','voluntary','volunteer','vote','voted','voters','vulnerability','vulnerable','wage','wagon','wait','waiver','wake','wales','walk','walked','walker','wall','wallet','wallpaper','walnut','walt','wanna','want','wanted','warcraft','ward','ware','warehouse','warm','warned','warner','warnings','warrant','warranties','warranty','warren','warrior','wars','wash','washer','waste','watch','watched','watches','water','waterproof','watershed','watt','wave','ways','weak','wealth','weapon','wear','weather','webcam','webcast','weblog','webmaster','webpage','website','webster','weddings','wednesday','week','weekend','weekly','weight','weighted','weird','welcome','welfare','well','wellness','welsh','went','were','west','western','whale','what','whatever','wheat','wheel','when','whenever','where','whereas','wherever','whether','which','while','whilst','white','whole','wholesale','whom','whose','wicked','wide','widely','wider','widescreen','widespread','width','wife','wikipedia','wild','wilderness','wildlife','will','willow','wilson','wind','window','wine','wings','winner','wins','winston','winter','wire','wired','wireless','wisdom','wise','wish','wishes','wishlist','witch','with','withdrawal','within','without','witness','witnesses','wives','wizard','wolf','woman','wonder','wonderful','wood','wooden','wool','word','wordpress','work','worked','worker','workflow','workforce','workout','workplace','workshop','workstation','world','worldwide','worm','worn','worried','worry','worse','worship','worst','worth','worthy','would','wound','wrap','wrapped','wright','wrist','write','writer','writings','written','wrong','wrote','yacht','yahoo','yale','yang','yard','yarn','yeah','year','yearly','yeast','yellow','yesterday','yield','yoga','young','younger','your','yourself','youth','yukon','zero','zinc','zone','zoom','zope'];
+
+// The BIP39 English wordlist, see https://github.com/bitcoin/bips/blob/master/bip-0039/english.txt
+export const bip39Words = ['abandon','ability','able','about','above','absent','absorb','abstract','absurd','abuse','access','accident','account','accuse','achieve','acid','acoustic','acquire','across','act','action','actor','actress','actual','adapt','add','addict','address','adjust','admit','adult','advance','advice','aerobic','affair','afford','afraid','again','age','agent','agree','ahead','aim','air','airport','aisle','alarm','album','alcohol','alert','alien','all','alley','allow','almost','alone','alpha','already','also','alter','always','amateur','amazing','among','amount','amused','analyst','anchor','ancient','anger','angle','angry','animal','ankle','announce','annual','another','answer','antenna','antique','anxiety','any','apart','apology','appear','apple','approve','april','arch','arctic','area','arena','argue','arm','armed','armor','army','around','arrange','arrest','arrive','arrow','art','artefact','artist','artwork','ask','aspect','assault','asset','assist','assume','asthma','athlete','atom','attack','attend','attitude','attract','auction','audit','august','aunt','author','auto','autumn','average','avocado','avoid','awake','aware','away','awesome','awful','awkward','axis','baby','bachelor','bacon','badge','bag','balance','balcony','ball','bamboo','banana','banner','bar','barely','bargain','barrel','base','basic','basket','battle','beach','bean','beauty','because','become','beef','before','begin','behave','behind','believe','below','belt','bench','benefit','best','betray','better','between','beyond','bicycle','bid','bike','bind','biology','bird','birth','bitter','black','blade','blame','blanket','blast','bleak','bless','blind','blood','blossom','blouse','blue','blur','blush','board','boat','body','boil','bomb','bone','bonus','book','boost','border','boring','borrow','boss','bottom','bounce','box','boy','bracket','brain','brand','brass','brave','bread','breeze','brick','bridge','brief','bright','bring','brisk','broccoli','broken','bronze','broom','brother','brown','brush','bubble','buddy','budget','buffalo','build','bulb','bulk','bullet','bundle','bunker','burden','burger','burst','bus','business','busy','butter','buyer','buzz','cabbage','cabin','cable','cactus','cage','cake','call','calm','camera','camp','can','canal','cancel','candy','cannon','canoe','canvas','canyon','capable','capital','captain','car','carbon','card','cargo','carpet','carry','cart','case','cash','casino','castle','casual','cat','catalog','catch','category','cattle','caught','cause','caution','cave','ceiling','celery','cement','census','century','cereal','certain','chair','chalk','champion','change','chaos','chapter','charge','chase','chat','cheap','check','cheese','chef','cherry','chest','chicken','chief','child','chimney','choice','choose','chronic','chuckle','chunk','churn','cigar','cinnamon','circle','citizen','city','civil','claim','clap','clarify','claw','clay','clean','clerk','clever','click','client','cliff','climb','clinic','clip','clock','clog','close','cloth','cloud','clown','club','clump','cluster','clutch','coach','coast','coconut','code','coffee','coil','coin','collect','color','column','combine','come','comfort','comic','common','company','concert','conduct','confirm','congress','connect','consider','control','convince','cook','cool','copper','copy','coral','core','corn','correct','cost','cotton','couch','country','couple','course','cousin','cover','coyote','crack','cradle','craft','cram','crane','crash','crater','crawl','crazy','cream','credit','creek','crew','cricket','crime','crisp','critic','crop','cross','crouch','crowd','crucial','cruel','cruise','crumble','crunch','crush','cry','crystal','cube','culture','cup','cupboard','curious','current','curtain','curve','cushion','custom','cute','cycle','dad','damage','damp','dance','danger','daring','dash','daughter','dawn','day','deal','debate','debris','decade','december','decide','decline','decorate','decrease','deer','defense','define','defy','degree','delay','deliver','demand','demise','denial','dentist','deny','depart','depend','deposit','depth','deputy','derive','describe','desert','design','desk','despair','destroy','detail','detect','develop','device','devote','diagram','dial','diamond','diary','dice','diesel','diet','differ','digital','dignity','dilemma','dinner','dinosaur','direct','dirt','disagree','discover','disease','dish','dismiss','disorder','display','distance','divert','divide','divorce','dizzy','doctor','document','dog','doll','dolphin','domain','donate','donkey','donor','door','dose','double','dove','draft','dragon','drama','drastic','draw','dream','dress','drift','drill','drink','drip','drive','drop','drum','dry','duck','dumb','dune','during','dust','dutch','duty','dwarf','dynamic','eager','eagle','early','earn','earth','easily','east','easy','echo','ecology','economy','edge','edit','educate','effort','egg','eight','either','elbow','elder','electric','elegant','element','elephant','elevator','elite','else','embark','embody','embrace','emerge','emotion','employ','empower','empty','enable','enact','end','endless','endorse','enemy','energy','enforce','engage','engine','enhance','enjoy','enlist','enough','enrich','enroll','ensure','enter','entire','entry','envelope','episode','equal','equip','era','erase','erode','erosion','error','erupt','escape','essay','essence','estate','eternal','ethics','evidence','evil','evoke','evolve','exact','example','excess','exchange','excite','exclude','excuse','execute','exercise','exhaust','exhibit','exile','exist','exit','exotic','expand','expect','expire','explain','expose','express','extend','extra','eye','eyebrow','fabric','face','faculty','fade','faint','faith','fall','false','fame','family','famous','fan','fancy','fantasy','farm','fashion','fat','fatal','father','fatigue','fault','favorite','feature','february','federal','fee','feed','feel','female','fence','festival','fetch','fever','few','fiber','fiction','field','figure','file','film','filter','final','find','fine','finger','finish','fire','firm','first','fiscal','fish','fit','fitness','fix','flag','flame','flash','flat','flavor','flee','flight','flip','float','flock','floor','flower','fluid','flush','fly','foam','focus','fog','foil','fold','follow','food','foot','force','forest','forget','fork','fortune','forum','forward','fossil','foster','found','fox','fragile','frame','frequent','fresh','friend','fringe','frog','front','frost','frown','frozen','fruit','fuel','fun','funny','furnace','fury','future','gadget','gain','galaxy','gallery','game','gap','garage','garbage','garden','garlic','garment','gas','gasp','gate','gather','gauge','gaze','general','genius','genre','gentle','genuine','gesture','ghost','giant','gift','giggle','ginger','giraffe','girl','give','glad','glance','glare','glass','glide','glimpse','globe','gloom','glory','glove','glow','glue','goat','goddess','gold','good','goose','gorilla','gospel','gossip','govern','gown','grab','grace','grain','grant','grape','grass','gravity','great','green','grid','grief','grit','grocery','group','grow','grunt','guard','guess','guide','guilt','guitar','gun','gym','habit','hair','half','hammer','hamster','hand','happy','harbor','hard','harsh','harvest','hat','have','hawk','hazard','head','health','heart','heavy','hedgehog','height','hello','helmet','help','hen','hero','hidden','high','hill','hint','hip','hire','history','hobby','hockey','hold','hole','holiday','hollow','home','honey','hood','hope','horn','horror','horse','hospital','host','hotel','hour','hover','hub','huge','human','humble','humor','hundred','hungry','hunt','hurdle','hurry','hurt','husband','hybrid','ice','icon','idea','identify','idle','ignore','ill','illegal','illness','image','imitate','immense','immune','impact','impose','improve','impulse','inch','include','income','increase','index','indicate','indoor','industry','infant','inflict','inform','inhale','inherit','initial','inject','injury','inmate','inner','innocent','input','inquiry','insane','insect','inside','inspire','install','intact','interest','into','invest','invite','involve','iron','island','isolate','issue','item','ivory','jacket','jaguar','jar','jazz','jealous','jeans','jelly','jewel','job','join','joke','journey','joy','judge','juice','jump','jungle','junior','junk','just','kangaroo','keen','keep','ketchup','key','kick','kid','kidney','kind','kingdom','kiss','kit','kitchen','kite','kitten','kiwi','knee','knife','knock','know','lab','label','labor','ladder','lady','lake','lamp','language','laptop','large','later','latin','laugh','laundry','lava','law','lawn','lawsuit','layer','lazy','leader','leaf','learn','leave','lecture','left','leg','legal','legend','leisure','lemon','lend','length','lens','leopard','lesson','letter','level','liar','liberty','library','license','life','lift','light','like','limb','limit','link','lion','liquid','list','little','live','lizard','load','loan','lobster','local','lock','logic','lonely','long','loop','lottery','loud','lounge','love','loyal','lucky','luggage','lumber','lunar','lunch','luxury','lyrics','machine','mad','magic','magnet','maid','mail','main','major','make','mammal','man','manage','mandate','mango','mansion','manual','maple','marble','march','margin','marine','market','marriage','mask','mass','master','match','material','math','matrix','matter','maximum','maze','meadow','mean','measure','meat','mechanic','medal','media','melody','melt','member','memory','mention','menu','mercy','merge','merit','merry','mesh','message','metal','method','middle','midnight','milk','million','mimic','mind','minimum','minor','minute','miracle','mirror','misery','miss','mistake','mix','mixed','mixture','mobile','model','modify','mom','moment','monitor','monkey','monster','month','moon','moral','more','morning','mosquito','mother','motion','motor','mountain','mouse','move','movie','much','muffin','mule','multiply','muscle','museum','mushroom','music','must','mutual','myself','mystery','myth','naive','name','napkin','narrow','nasty','nation','nature','near','neck','need','negative','neglect','neither','nephew','nerve','nest','net','network','neutral','never','news','next','nice','night','noble','noise','nominee','noodle','normal','north','nose','notable','note','nothing','notice','novel','now','nuclear','number','nurse','nut','oak','obey','object','oblige','obscure','observe','obtain','obvious','occur','ocean','october','odor','off','offer','office','often','oil','okay','old','olive','olympic','omit','once','one','onion','online','only','open','opera','opinion','oppose','option','orange','orbit','orchard','order','ordinary','organ','orient','original','orphan','ostrich','other','outdoor','outer','output','outside','oval','oven','over','own','owner','oxygen','oyster','ozone','pact','paddle','page','pair','palace','palm','panda','panel','panic','panther','paper','parade','parent','park','parrot','party','pass','patch','path','patient','patrol','pattern','pause','pave','payment','peace','peanut','pear','peasant','pelican','pen','penalty','pencil','people','pepper','perfect','permit','person','pet','phone','photo','phrase','physical','piano','picnic','picture','piece','pig','pigeon','pill','pilot','pink','pioneer','pipe','pistol','pitch','pizza','place','planet','plastic','plate','play','please','pledge','pluck','plug','plunge','poem','poet','point','polar','pole','police','pond','pony','pool','popular','portion','position','possible','post','potato','pottery','poverty','powder','power','practice','praise','predict','prefer','prepare','present','pretty','prevent','price','pride','primary','print','priority','prison','private','prize','problem','process','produce','profit','program','project','promote','proof','property','prosper','protect','proud','provide','public','pudding','pull','pulp','pulse','pumpkin','punch','pupil','puppy','purchase','purity','purpose','purse','push','put','puzzle','pyramid','quality','quantum','quarter','question','quick','quit','quiz','quote','rabbit','raccoon','race','rack','radar','radio','rail','rain','raise','rally','ramp','ranch','random','range','rapid','rare','rate','rather','raven','raw','razor','ready','real','reason','rebel','rebuild','recall','receive','recipe','record','recycle','reduce','reflect','reform','refuse','region','regret','regular','reject','relax','release','relief','rely','remain','remember','remind','remove','render','renew','rent','reopen','repair','repeat','replace','report','require','rescue','resemble','resist','resource','response','result','retire','retreat','return','reunion','reveal','review','reward','rhythm','rib','ribbon','rice','rich','ride','ridge','rifle','right','rigid','ring','riot','ripple','risk','ritual','rival','river','road','roast','robot','robust','rocket','romance','roof','rookie','room','rose','rotate','rough','round','route','royal','rubber','rude','rug','rule','run','runway','rural','sad','saddle','sadness','safe','sail','salad','salmon','salon','salt','salute','same','sample','sand','satisfy','satoshi','sauce','sausage','save','say','scale','scan','scare','scatter','scene','scheme','school','science','scissors','scorpion','scout','scrap','screen','script','scrub','sea','search','season','seat','second','secret','section','security','seed','seek','segment','select','sell','seminar','senior','sense','sentence','series','service','session','settle','setup','seven','shadow','shaft','shallow','share','shed','shell','sheriff','shield','shift','shine','ship','shiver','shock','shoe','shoot','shop','short','shoulder','shove','shrimp','shrug','shuffle','shy','sibling','sick','side','siege','sight','sign','silent','silk','silly','silver','similar','simple','since','sing','siren','sister','situate','six','size','skate','sketch','ski','skill','skin','skirt','skull','slab','slam','sleep','slender','slice','slide','slight','slim','slogan','slot','slow','slush','small','smart','smile','smoke','smooth','snack','snake','snap','sniff','snow','soap','soccer','social','sock','soda','soft','solar','soldier','solid','solution','solve','someone','song','soon','sorry','sort','soul','sound','soup','source','south','space','spare','spatial','spawn','speak','special','speed','spell','spend','sphere','spice','spider','spike','spin','spirit','split','spoil','sponsor','spoon','sport','spot','spray','spread','spring','spy','square','squeeze','squirrel','stable','stadium','staff','stage','stairs','stamp','stand','start','state','stay','steak','steel','stem','step','stereo','stick','still','sting','stock','stomach','stone','stool','story','stove','strategy','street','strike','strong','struggle','student','stuff','stumble','style','subject','submit','subway','success','such','sudden','suffer','sugar','suggest','suit','summer','sun','sunny','sunset','super','supply','supreme','sure','surface','surge','surprise','surround','survey','suspect','sustain','swallow','swamp','swap','swarm','swear','sweet','swift','swim','swing','switch','sword','symbol','symptom','syrup','system','table','tackle','tag','tail','talent','talk','tank','tape','target','task','taste','tattoo','taxi','teach','team','tell','ten','tenant','tennis','tent','term','test','text','thank','that','theme','then','theory','there','they','thing','this','thought','three','thrive','throw','thumb','thunder','ticket','tide','tiger','tilt','timber','time','tiny','tip','tired','tissue','title','toast','tobacco','today','toddler','toe','together','toilet','token','tomato','tomorrow','tone','tongue','tonight','tool','tooth','top','topic','topple','torch','tornado','tortoise','toss','total','tourist','toward','tower','town','toy','track','trade','traffic','tragic','train','transfer','trap','trash','travel','tray','treat','tree','trend','trial','tribe','trick','trigger','trim','trip','trophy','trouble','truck','true','truly','trumpet','trust','truth','try','tube','tuition','tumble','tuna','tunnel','turkey','turn','turtle','twelve','twenty','twice','twin','twist','two','type','typical','ugly','umbrella','unable','unaware','uncle','uncover','under','undo','unfair','unfold','unhappy','uniform','unique','unit','universe','unknown','unlock','until','unusual','unveil','update','upgrade','uphold','upon','upper','upset','urban','urge','usage','use','used','useful','useless','usual','utility','vacant','vacuum','vague','valid','valley','valve','van','vanish','vapor','various','vast','vault','vehicle','velvet','vendor','venture','venue','verb','verify','version','very','vessel','veteran','viable','vibrant','vicious','victory','video','view','village','vintage','violin','virtual','virus','visa','visit','visual','vital','vivid','vocal','voice','void','volcano','volume','vote','voyage','wage','wagon','wait','walk','wall','walnut','want','warfare','warm','warrior','wash','wasp','waste','water','wave','way','wealth','weapon','wear','weasel','weather','web','wedding','weekend','weird','welcome','west','wet','whale','what','wheat','wheel','when','where','whip','whisper','wide','width','wife','wild','will','win','window','wine','wing','wink','winner','winter','wire','wisdom','wise','wish','witness','wolf','woman','wonder','wood','wool','word','work','world','worry','worth','wrap','wreck','wrestle','wrist','write','wrong','yard','year','yellow','you','young','youth','zebra','zero','zone','zoo'];
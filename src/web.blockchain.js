@@ -2,9 +2,9 @@ import asn1 from 'asn1.js';
 import stringify from 'json-stable-stringify';
 import {base64ToUrlSafeBase64, urlSafeBase64ToBase64} from './helper.functions.js';
 import {ec as EC} from 'elliptic';
-import {BN} from 'bn.js';
 import {Buffer} from 'buffer';
-import {words} from './utils/words';
+import {bip39Words, words} from './utils/words';
+import {IDENTITY_DERIVATION_BIP39_V1, IDENTITY_DERIVATION_LEGACY} from './constants.js';
 
 const EE_SIGN = 'EE_SIGN';
 const EE_SENDER = 'EE_SENDER';
@@ -12,6 +12,19 @@ const EE_HASH = 'EE_HASH';
 const ADDR_PREFIX = '0xai_';
 const ALLOWED_PREFIXES = ['0xai_', 'aixp_'];
 const NON_DATA_FIELDS = [EE_SIGN, EE_SENDER, EE_HASH];
+const ENCRYPTION_NONCE_LENGTH = 12;
+const ENCRYPTION_HKDF_INFO = '0xai handshake data';
+const SECP256K1_ORDER = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+const MNEMONIC_SEED_ITERATIONS = 2048;
+const MNEMONIC_MAX_SUGGESTION_DISTANCE = 2;
+const BIP32_MASTER_KEY_SALT = 'Bitcoin seed';
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_CIPHER = 'aes-256-gcm';
+const KEYSTORE_KDF = 'pbkdf2';
+const KEYSTORE_KDF_HASH = 'SHA-256';
+const KEYSTORE_KDF_ITERATIONS = 600000;
+const KEYSTORE_SALT_LENGTH = 16;
 
 const ECPrivateKey = asn1.define('ECPrivateKey', function () {
     this.seq().obj(
@@ -32,6 +45,44 @@ const PKCS8 = asn1.define('PKCS8', function () {
     );
 });
 
+/**
+ * Computes the Levenshtein distance between two words.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Converts a byte array to its binary representation.
+ *
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+const toBits = (bytes) => Array.from(bytes).map((byte) => byte.toString(2).padStart(8, '0')).join('');
+
+/**
+ * @typedef {Object} Keystore
+ * @property {number} version the keystore format version
+ * @property {string} address the NaeuralEdgeProtocol Network address of the stored identity
+ * @property {{cipher: string, ciphertext: string, iv: string, kdf: string, kdfparams: {hash: string, iterations: number, salt: string}}} crypto
+ * the encrypted private key, base64 encoded, along with the parameters needed to derive the decryption key from the
+ * passphrase
+ */
+
 /**
  * @class NaeuralBC
  *
@@ -59,11 +110,19 @@ export class NaeuralBC {
 
     static ec = new EC('secp256k1');
 
+    /**
+     * Loads the identity used for signing. The identity is either a PEM formatted `options.key`, an elliptic
+     * `options.keyPair`, such as the ones returned by an `IdentityProvider`, or a newly generated one.
+     *
+     * @param {{key?: string, keyPair?: Object, debug?: boolean}} options
+     */
     loadIdentity(options) {
-        if (options.key) {
+        if (options.keyPair) {
+            this.keyPair = options.keyPair;
+        } else if (options.key) {
             this.keyPair = NaeuralBC.loadPrivateKey(options.key);
         } else {
-            this.keyPair = NaeuralBC.generateKeys();
+            this.keyPair = NaeuralBC.ec.genKeyPair();
         }
 
         this.debugMode = options.debug || false;
@@ -80,8 +139,7 @@ export class NaeuralBC {
      * @return {object} An object containing the keys where keys are instances of `elliptic` keys
      */
     static generateKeys() {
-        const ec = this.ec('secp256k1');
-        const keyPair = ec.genKeyPair();
+        const keyPair = this.ec.genKeyPair();
         const publicKey = keyPair.getPublic();
         const privateKey = keyPair.getPrivate();
 
@@ -91,22 +149,156 @@ export class NaeuralBC {
         };
     }
 
+    /**
+     * Generates a list of random words, without any checksum. The words can only be turned into an identity using the
+     * legacy derivation. The random values past the largest multiple of the word count are drawn again, so that every
+     * word is equally likely.
+     *
+     * @deprecated use `generateMnemonic()` for BIP39 compatible mnemonics.
+     * @param {number} numWords
+     * @return {Array<string>}
+     */
     static generateRandomWords(numWords = 24) {
+        const limit = 2 ** 32 - (2 ** 32 % words.length);
         const randomWords = [];
 
-        let i = 0;
-        while (i < numWords) {
-            const randomIndex = Math.floor(Math.random() * words.length);
-            if (!randomWords.includes(words[randomIndex])) {
-                randomWords.push(words[randomIndex]);
-                i++;
+        while (randomWords.length < numWords) {
+            const [value] = crypto.getRandomValues(new Uint32Array(1));
+            if (value < limit) {
+                randomWords.push(words[value % words.length]);
             }
         }
 
         return randomWords;
     }
 
-    static async generateIdentityFromSecretWords(words) {
+    /**
+     * Generates a BIP39 mnemonic of `numWords` words from secure random entropy. The last word carries the checksum of
+     * the entropy, allowing mistyped mnemonics to be detected.
+     *
+     * @param {number} numWords one of 12, 15, 18, 21 or 24
+     * @return {Promise<Array<string>>}
+     */
+    static async generateMnemonic(numWords = 24) {
+        if (!MNEMONIC_WORD_COUNTS.includes(numWords)) {
+            throw new Error(`Mnemonics have ${MNEMONIC_WORD_COUNTS.join(', ')} words, got ${numWords}.`);
+        }
+
+        const entropy = crypto.getRandomValues(new Uint8Array((numWords * 11 - numWords / 3) / 8));
+
+        return NaeuralBC.entropyToMnemonic(entropy);
+    }
+
+    /**
+     * Encodes the `entropy` as a BIP39 mnemonic, using the English wordlist.
+     *
+     * @param {Uint8Array} entropy 16 to 32 bytes, in multiples of 4
+     * @return {Promise<Array<string>>}
+     */
+    static async entropyToMnemonic(entropy) {
+        if (entropy.length < 16 || entropy.length > 32 || entropy.length % 4 !== 0) {
+            throw new Error(`Invalid entropy length: ${entropy.length} bytes.`);
+        }
+
+        const bits = toBits(entropy) + (await NaeuralBC._mnemonicChecksum(entropy));
+
+        return bits.match(/.{11}/g).map((chunk) => bip39Words[parseInt(chunk, 2)]);
+    }
+
+    /**
+     * Validates a BIP39 mnemonic. For each word not found in the wordlist, the closest known words are suggested.
+     *
+     * @param {Array<string>} mnemonic
+     * @return {Promise<{valid: boolean, reason: string|null, unknownWords: Array<{index: number, word: string, suggestions: Array<string>}>}>}
+     */
+    static async checkMnemonic(mnemonic) {
+        const normalized = NaeuralBC._normalizeMnemonic(mnemonic);
+
+        const unknownWords = normalized
+            .map((word, index) => ({ index, word }))
+            .filter(({ word }) => !bip39Words.includes(word))
+            .map(({ index, word }) => ({ index, word, suggestions: NaeuralBC.suggestWords(word) }));
+
+        if (unknownWords.length > 0) {
+            return {
+                valid: false,
+                reason: `Unknown words: ${unknownWords.map(({ index, word }) => `${word} (#${index + 1})`).join(', ')}.`,
+                unknownWords,
+            };
+        }
+
+        if (!MNEMONIC_WORD_COUNTS.includes(normalized.length)) {
+            return {
+                valid: false,
+                reason: `Mnemonics have ${MNEMONIC_WORD_COUNTS.join(', ')} words, got ${normalized.length}.`,
+                unknownWords,
+            };
+        }
+
+        const bits = normalized.map((word) => bip39Words.indexOf(word).toString(2).padStart(11, '0')).join('');
+        const entropyLength = (bits.length - bits.length / 33) / 8;
+        const entropy = new Uint8Array(bits.match(/.{8}/g).slice(0, entropyLength).map((byte) => parseInt(byte, 2)));
+
+        if (bits.slice(entropyLength * 8) !== (await NaeuralBC._mnemonicChecksum(entropy))) {
+            return {
+                valid: false,
+                reason: 'Invalid checksum, one of the words is mistyped or the words are out of order.',
+                unknownWords,
+            };
+        }
+
+        return { valid: true, reason: null, unknownWords };
+    }
+
+    /**
+     * Returns the wordlist entries closest to a mistyped `word`, closest first.
+     *
+     * @param {string} word
+     * @param {number} limit
+     * @return {Array<string>}
+     */
+    static suggestWords(word, limit = 3) {
+        const normalized = word.trim().toLowerCase();
+
+        return bip39Words
+            .map((candidate) => ({ candidate, distance: editDistance(normalized, candidate) }))
+            .filter(({ distance }) => distance <= MNEMONIC_MAX_SUGGESTION_DISTANCE)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit)
+            .map(({ candidate }) => candidate);
+    }
+
+    /**
+     * Derives the identity for a list of secret `words`. The derivation is selected through `options.version`:
+     * - `legacy` (default): the private key is the SHA-256 of the words joined with `;`, modulo the curve order. Any
+     *   words are accepted.
+     * - `bip39-v1`: the words must be a valid BIP39 mnemonic. The seed is computed as defined by BIP39, with the
+     *   optional `options.passphrase`, and the private key is the BIP32 master key (`m`) of that seed. Any BIP39/BIP32
+     *   implementation derives the same key from the same words.
+     *
+     * @param {Array<string>} words
+     * @param {{version?: string, passphrase?: string}} options
+     * @return {Promise<Object>} the elliptic key pair
+     */
+    static async generateIdentityFromSecretWords(words, options = {}) {
+        const version = options.version ?? IDENTITY_DERIVATION_LEGACY;
+
+        switch (version) {
+            case IDENTITY_DERIVATION_LEGACY:
+                return NaeuralBC._legacyIdentityFromSecretWords(words);
+            case IDENTITY_DERIVATION_BIP39_V1:
+                return NaeuralBC._bip39IdentityFromMnemonic(words, options.passphrase ?? '');
+            default:
+                throw new Error(`Unknown identity derivation: ${version}.`);
+        }
+    }
+
+    /**
+     * @param {Array<string>} words
+     * @return {Promise<Object>}
+     * @private
+     */
+    static async _legacyIdentityFromSecretWords(words) {
         const asString = words.join(';');
         const encoder = new TextEncoder();
         const encodedInput = encoder.encode(asString);
@@ -115,12 +307,82 @@ export class NaeuralBC {
         const hashHex = Array.from(hashArray).map(b => b.toString(16).padStart(2, '0')).join('');
 
         const hashInt = BigInt(`0x${hashHex}`);
-        const orderN = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
-        const validSeed = hashInt % orderN;
+        const validSeed = hashInt % SECP256K1_ORDER;
 
         return this.ec.keyFromPrivate(validSeed.toString(16));
     }
 
+    /**
+     * @param {Array<string>} mnemonic
+     * @param {string} passphrase
+     * @return {Promise<Object>}
+     * @private
+     */
+    static async _bip39IdentityFromMnemonic(mnemonic, passphrase) {
+        const { valid, reason } = await NaeuralBC.checkMnemonic(mnemonic);
+        if (!valid) {
+            throw new Error(`Invalid mnemonic: ${reason}`);
+        }
+
+        const encoder = new TextEncoder();
+        const password = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(NaeuralBC._normalizeMnemonic(mnemonic).join(' ')),
+            'PBKDF2',
+            false,
+            ['deriveBits'],
+        );
+        const seed = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                hash: 'SHA-512',
+                salt: encoder.encode(`mnemonic${passphrase}`.normalize('NFKD')),
+                iterations: MNEMONIC_SEED_ITERATIONS,
+            },
+            password,
+            512,
+        );
+
+        const hmacKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(BIP32_MASTER_KEY_SALT),
+            { name: 'HMAC', hash: 'SHA-512' },
+            false,
+            ['sign'],
+        );
+        const masterKey = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, seed)).slice(0, 32);
+        const privateKey = Buffer.from(masterKey).toString('hex');
+
+        const keyInt = BigInt(`0x${privateKey}`);
+        if (keyInt === 0n || keyInt >= SECP256K1_ORDER) {
+            throw new Error('The mnemonic yields an invalid master key.');
+        }
+
+        return this.ec.keyFromPrivate(privateKey, 'hex');
+    }
+
+    /**
+     * Computes the BIP39 checksum bits for the `entropy`.
+     *
+     * @param {Uint8Array} entropy
+     * @return {Promise<string>}
+     * @private
+     */
+    static async _mnemonicChecksum(entropy) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+
+        return toBits(hash).slice(0, entropy.length / 4);
+    }
+
+    /**
+     * @param {Array<string>} mnemonic
+     * @return {Array<string>}
+     * @private
+     */
+    static _normalizeMnemonic(mnemonic) {
+        return mnemonic.map((word) => word.normalize('NFKD').trim().toLowerCase()).filter((word) => word !== '');
+    }
+
     static convertEllipticPrivateKeyToPKCS8DER(privateKeyHex) {
         const privateKeyBuffer = Buffer.from(privateKeyHex, 'hex');
 
@@ -160,8 +422,16 @@ export class NaeuralBC {
         return this.ec.keyFromPrivate(keyData.privateKey, 'hex');
     }
 
-    static async pemFromSecretWords(words) {
-        const identity = await NaeuralBC.generateIdentityFromSecretWords(words);
+    /**
+     * Derives the identity for a list of secret `words` and returns it in PEM format. See
+     * `generateIdentityFromSecretWords()` for the available derivations.
+     *
+     * @param {Array<string>} words
+     * @param {{version?: string, passphrase?: string}} options
+     * @return {Promise<string>}
+     */
+    static async pemFromSecretWords(words, options = {}) {
+        const identity = await NaeuralBC.generateIdentityFromSecretWords(words, options);
 
         return NaeuralBC.convertECKeyPairToPEM(identity);
     }
@@ -249,19 +519,35 @@ export class NaeuralBC {
      * @return {boolean} verification result
      */
     async verify(fullJSONMessage) {
-        let hashResult = false;
-        let signatureResult = false;
+        const { valid } = await this.checkSignature(fullJSONMessage);
+
+        return valid;
+    }
+
+    /**
+     * Verifies the message signature and reports the reason for which the verification failed, if any. This allows
+     * integrators to audit the rejected messages.
+     *
+     * @param {string} fullJSONMessage the message to verify
+     * @return {Promise<{valid: boolean, reason: string|null}>} verification result
+     */
+    async checkSignature(fullJSONMessage) {
         let objReceived;
 
         try {
             objReceived = JSON.parse(fullJSONMessage);
         } catch (e) {
-            return false;
+            return { valid: false, reason: 'Message is not a valid JSON.' };
         }
 
         const signatureB64 = objReceived[EE_SIGN];
         const pkB64 = objReceived[EE_SENDER] ? NaeuralBC._removeAddressPrefix(objReceived[EE_SENDER]) : null;
         const receivedHash = objReceived[EE_HASH];
+
+        if (!signatureB64 || !pkB64 || !receivedHash) {
+            return { valid: false, reason: `Message is missing one of ${NON_DATA_FIELDS.join(', ')}.` };
+        }
+
         const objData = Object.fromEntries(
             Object.entries(objReceived).filter(([key]) => !NON_DATA_FIELDS.includes(key)),
         );
@@ -274,7 +560,6 @@ export class NaeuralBC {
         const hashHex = Array.from(hashArray).map(b => b.toString(16).padStart(2, '0')).join('');
 
         if (hashHex !== receivedHash) {
-            hashResult = false;
             if (this.debugMode) {
                 console.log(
                     'Hashes do not match or public key is missing:\n',
@@ -285,58 +570,196 @@ export class NaeuralBC {
                     '  Stringify: \'' + strData + '\'',
                 );
             }
-        } else {
-            hashResult = true;
+
+            return { valid: false, reason: 'Computed hash does not match EE_HASH.' };
         }
 
-        if (pkB64) {
+        let signatureResult;
+        try {
             const signatureBuffer = Buffer.from(urlSafeBase64ToBase64(signatureB64), 'base64');
             const publicKeyObj = NaeuralBC.addressToECPublicKey(pkB64);
 
             const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', hashArray));
             signatureResult = NaeuralBC.ec.verify([...hash], [...signatureBuffer], publicKeyObj);
+        } catch (e) {
+            return { valid: false, reason: `Could not verify EE_SIGN: ${e.message}` };
+        }
+
+        if (!signatureResult) {
+            return { valid: false, reason: 'EE_SIGN does not match EE_SENDER.' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Encrypts the `message` for the owner of the `destinationAddress`. The symmetric key is derived through ECDH on
+     * the secp256k1 curve followed by HKDF(SHA-256), and the message is encrypted using AES-GCM. The returned value is
+     * the base64 encoding of the 12-byte nonce followed by the ciphertext.
+     *
+     * @param {string} message the plain text to encrypt
+     * @param {string} destinationAddress the NaeuralEdgeProtocol Network address of the receiver
+     * @return {Promise<string>} the encrypted message
+     */
+    async encrypt(message, destinationAddress) {
+        const encoder = new TextEncoder();
+        const destinationKey = NaeuralBC.addressToECPublicKey(destinationAddress);
+        const sharedKey = await this._deriveSharedKey(destinationKey.getPublic());
+
+        const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_NONCE_LENGTH));
+        const encryptedData = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            sharedKey,
+            encoder.encode(message),
+        );
+
+        const encryptedArray = new Uint8Array(encryptedData);
+        const combined = new Uint8Array(iv.length + encryptedArray.length);
+        combined.set(iv);
+        combined.set(encryptedArray, iv.length);
+
+        return Buffer.from(combined).toString('base64');
+    }
+
+    /**
+     * Decrypts a message encrypted with `encrypt()` by the owner of the `senderAddress` for this identity. Will throw
+     * if the message was not encrypted for this identity or if it was tampered with.
+     *
+     * @param {string} encryptedData the base64 encoded nonce and ciphertext
+     * @param {string} senderAddress the NaeuralEdgeProtocol Network address of the sender
+     * @return {Promise<string>} the decrypted message
+     */
+    async decrypt(encryptedData, senderAddress) {
+        const combined = Buffer.from(encryptedData, 'base64');
+        const senderKey = NaeuralBC.addressToECPublicKey(senderAddress);
+        const sharedKey = await this._deriveSharedKey(senderKey.getPublic());
+
+        const decryptedData = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: combined.subarray(0, ENCRYPTION_NONCE_LENGTH) },
+            sharedKey,
+            combined.subarray(ENCRYPTION_NONCE_LENGTH),
+        );
+
+        return new TextDecoder().decode(decryptedData);
+    }
+
+    /**
+     * Exports the loaded identity as a keystore, encrypted with the `passphrase`. The encryption key is derived from the
+     * passphrase with PBKDF2(SHA-256) and the private key is encrypted using AES-GCM, the address being bound to the
+     * ciphertext as additional data.
+     *
+     * @param {string} passphrase
+     * @param {{iterations?: number}} options
+     * @return {Promise<Keystore>}
+     */
+    async exportKeystore(passphrase, options = {}) {
+        const address = this.getAddress();
+        const iterations = options.iterations ?? KEYSTORE_KDF_ITERATIONS;
+        const salt = crypto.getRandomValues(new Uint8Array(KEYSTORE_SALT_LENGTH));
+        const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_NONCE_LENGTH));
+        const key = await NaeuralBC._deriveKeystoreKey(passphrase, salt, iterations);
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(address) },
+            key,
+            Buffer.from(this.keyPair.getPrivate('hex').padStart(64, '0'), 'hex'),
+        );
+
+        return {
+            version: KEYSTORE_VERSION,
+            address,
+            crypto: {
+                cipher: KEYSTORE_CIPHER,
+                ciphertext: Buffer.from(ciphertext).toString('base64'),
+                iv: Buffer.from(iv).toString('base64'),
+                kdf: KEYSTORE_KDF,
+                kdfparams: {
+                    hash: KEYSTORE_KDF_HASH,
+                    iterations,
+                    salt: Buffer.from(salt).toString('base64'),
+                },
+            },
+        };
+    }
+
+    /**
+     * Loads the identity stored in a keystore created by `exportKeystore()`. The `passphrase` can also be a callback,
+     * called with the keystore address, allowing the integrators to prompt for it only when needed. Will throw if the
+     * passphrase is wrong or the keystore was tampered with.
+     *
+     * @param {Keystore|string} keystore the keystore, either as object or JSON
+     * @param {string|function(string): (string|Promise<string>)} passphrase
+     * @param {{debug?: boolean}} options
+     * @return {Promise<NaeuralBC>}
+     */
+    async loadKeystore(keystore, passphrase, options = {}) {
+        const parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+        const params = parsed?.crypto ?? {};
+
+        if (parsed?.version !== KEYSTORE_VERSION || params.cipher !== KEYSTORE_CIPHER || params.kdf !== KEYSTORE_KDF) {
+            throw new Error('Unsupported keystore format.');
         }
 
-        return hashResult && signatureResult;
-    }
-
-    // async encrypt(message, destinationAddress) {
-    //     const encoder = new TextEncoder();
-    //     const destinationKey = NaeuralBC.addressToECPublicKey(destinationAddress);
-    //     const sharedKey = await this._deriveSharedKey(destinationKey.getPublic());
-    //
-    //     const iv = crypto.getRandomValues(new Uint8Array(12));
-    //
-    //     const key = await crypto.subtle.importKey(
-    //         'raw',
-    //         sharedKey,
-    //         { name: 'AES-GCM', length: 256 },
-    //         false,
-    //         ['encrypt']
-    //     );
-    //
-    //     const encryptedData = await window.crypto.subtle.encrypt(
-    //         { name: 'AES-GCM', iv: iv },
-    //         key,
-    //         encoder.encode(message)
-    //     );
-    //
-    //     const encryptedArray = new Uint8Array(encryptedData);
-    //     const combined = new Uint8Array(iv.length + encryptedArray.length);
-    //     combined.set(iv);
-    //     combined.set(encryptedArray, iv.length);
-    //
-    //     return this._arrayBufferToBase64(combined);
-    // }
-    //
-    // _arrayBufferToBase64(buffer) {
-    //     let binary = '';
-    //     const bytes = new Uint8Array(buffer);
-    //     for (let i = 0; i < bytes.byteLength; i++) {
-    //         binary += String.fromCharCode(bytes[i]);
-    //     }
-    //     return window.btoa(binary);
-    // }
+        const secret = typeof passphrase === 'function' ? await passphrase(parsed.address) : passphrase;
+        const key = await NaeuralBC._deriveKeystoreKey(
+            secret,
+            Buffer.from(params.kdfparams.salt, 'base64'),
+            params.kdfparams.iterations,
+            params.kdfparams.hash,
+        );
+
+        let privateKey;
+        try {
+            privateKey = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: Buffer.from(params.iv, 'base64'),
+                    additionalData: new TextEncoder().encode(parsed.address),
+                },
+                key,
+                Buffer.from(params.ciphertext, 'base64'),
+            );
+        } catch (e) {
+            throw new Error('Cannot decrypt the keystore: wrong passphrase or corrupted keystore.');
+        }
+
+        const keyPair = NaeuralBC.ec.keyFromPrivate(Buffer.from(privateKey).toString('hex'), 'hex');
+        this.loadIdentity({ ...options, keyPair });
+
+        return this;
+    }
+
+    /**
+     * Derives the AES-GCM key protecting a keystore from the `passphrase`.
+     *
+     * @param {string} passphrase
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @param {string} hash
+     * @return {Promise<CryptoKey>}
+     * @private
+     */
+    static async _deriveKeystoreKey(passphrase, salt, iterations, hash = KEYSTORE_KDF_HASH) {
+        if (typeof passphrase !== 'string' || passphrase === '') {
+            throw new Error('A passphrase is required to encrypt or decrypt the keystore.');
+        }
+
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase.normalize('NFKC')),
+            'PBKDF2',
+            false,
+            ['deriveKey'],
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash, salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt'],
+        );
+    }
 
     /**
      * Returns the hash for a provided input. Inputs can be either a string or an object. Any other datatype will
@@ -373,7 +796,8 @@ export class NaeuralBC {
     }
 
     /**
-     * Signs a hash and returns the signature in base64 format.
+     * Signs a hash and returns the signature in base64 format. The nonce is derived deterministically from the key and
+     * the hash, as described in RFC 6979, so no two messages are ever signed with the same nonce.
      * @param {Uint8Array} hash - The binary hash to sign, expected as a Uint8Array
      * @returns {Promise<string>} - The base64-encoded signature
      */
@@ -381,8 +805,7 @@ export class NaeuralBC {
         const keyPair = this.keyPair;
 
         const hashBuffer = new Uint8Array(await crypto.subtle.digest('SHA-256', hash));
-        const options = { k: () => { return new BN(Math.round(Math.random() * 10000)); } };
-        const signature = keyPair.sign(hashBuffer, options);
+        const signature = keyPair.sign(hashBuffer);
 
         return base64ToUrlSafeBase64(Buffer.from(signature.toDER('hex'), 'hex').toString('base64'));
     }
@@ -413,33 +836,33 @@ export class NaeuralBC {
         }
     }
 
-    // /**
-    //  *
-    //  * @param peerPublicKey
-    //  * @return {*}
-    //  * @private
-    //  */
-    // async _deriveSharedKey(peerPublicKey) {
-    //     const encoder = new TextEncoder();
-    //     const sharedSecret = this.keyPair.derive(peerPublicKey);
-    //
-    //     const saltBuffer = encoder.encode(null);
-    //     const infoBuffer = encoder.encode('0xai handshake data');
-    //     const derivedKey = await crypto.subtle.deriveKey(
-    //         {
-    //             name: "HKDF",
-    //             hash: "SHA-256",
-    //             salt: saltBuffer,
-    //             info: infoBuffer
-    //         },
-    //         sharedSecret,
-    //         { name: "AES-GCM", length: 32 },
-    //         true,
-    //         ["encrypt", "decrypt"]
-    //     );
-    //
-    //     return Buffer.from(derivedKey);
-    // }
+    /**
+     * Derives the AES-GCM key shared with the owner of the `peerPublicKey`. The ECDH shared secret is passed through
+     * HKDF(SHA-256) with an empty salt and the `0xai handshake data` info string.
+     *
+     * @param peerPublicKey An elliptic curve public key point.
+     * @return {Promise<CryptoKey>} the derived AES-GCM key
+     * @private
+     */
+    async _deriveSharedKey(peerPublicKey) {
+        const encoder = new TextEncoder();
+        const sharedSecret = new Uint8Array(this.keyPair.derive(peerPublicKey).toArray('be', 32));
+
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(0),
+                info: encoder.encode(ENCRYPTION_HKDF_INFO),
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt'],
+        );
+    }
 }
 
 export default NaeuralBC;
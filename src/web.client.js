@@ -1,17 +1,45 @@
-import mqtt from 'mqtt';
 import EventEmitter2 from 'eventemitter2';
-import { concatMap, filter, fromEvent, map, tap } from 'rxjs';
+import { BehaviorSubject, concatMap, distinctUntilChanged, filter, fromEvent, map, tap } from 'rxjs';
 import { v4 as uuidv4 } from 'uuid';
 import {
+    CONNECTION_STATE_CONNECTED,
+    CONNECTION_STATE_CONNECTING,
+    CONNECTION_STATE_DISCONNECTED,
+    CONNECTION_STATE_SHUTDOWN,
     HEARTBEATS_STREAM,
     MESSAGE_TYPE_HEARTBEAT,
     MESSAGE_TYPE_NOTIFICATION,
-    MESSAGE_TYPE_PAYLOAD, NODE_COMMAND_ARCHIVE_CONFIG, NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
-    NODE_COMMAND_PIPELINE_COMMAND,
-    NODE_COMMAND_UPDATE_CONFIG,
-    NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+    MESSAGE_TYPE_PAYLOAD,
+    MULTIPLEXED_CONNECTION,
+    NETWORK_STICKY_PAYLOAD_RECEIVED,
     NOTIFICATIONS_STREAM,
-    PAYLOADS_STREAM, REST_CUSTOM_EXEC_SIGNATURE, ZxAI_SUPERVISOR_PAYLOAD
+    OUTBOUND_QUEUE_TTL,
+    PAYLOADS_STREAM,
+    RECONNECT_INITIAL_DELAY,
+    RECONNECT_MAX_DELAY,
+    REST_CUSTOM_EXEC_SIGNATURE,
+    SIGNATURE_POLICY_DROP,
+    SIGNATURE_POLICY_FLAG,
+    SIGNATURE_POLICY_PASS,
+    STICKY_COMMAND_ID_KEY,
+    TIMEOUT_MAX_REQUEST_TIME,
+    TIMEOUT_PHASE_OUTBOUND,
+    TIMEOUT_TO_FIRST_RESPONSE,
+    ZxAI_CLIENT_CONNECTED,
+    ZxAI_CLIENT_CONNECTION_ERROR,
+    ZxAI_CLIENT_DISCONNECTED,
+    ZxAI_CLIENT_SHUTDOWN,
+    ZxAI_ENGINE_OFFLINE,
+    ZxAI_ENGINE_ONLINE,
+    ZxAI_ENGINE_REGISTERED,
+    ZxAI_INVALID_SIGNATURE,
+    ZxAI_MESSAGE_NOT_FOR_US,
+    ZxAI_NODE_ADDRESS_PINNED,
+    ZxAI_OUTBOUND_QUEUE_UPDATED,
+    ZxAI_PIN_VIOLATION,
+    ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+    ZxAI_SUPERVISOR_PAYLOAD,
+    ZxAI_UNTRUSTED_SENDER,
 } from './constants';
 import NaeuralBC from './web.blockchain';
 import { processHeartbeat } from './processors/heartbeat.processor';
@@ -20,9 +48,27 @@ import { payloadProcessor } from './processors/payload.processor';
 import { rawIn } from './formatters/raw.formatter';
 import { identityFormatter } from './formatters/identity.formatter';
 import { StateManager } from './models/state.manager';
+import { NetworkRequestsHandler } from './models/network.requests.handler';
 import { Logger } from './logger';
 import { NodeManager } from './models/node.manager';
+import { OutboundQueue } from './models/outbound.queue';
 import { defaultSchemas } from './utils/schema.providers';
+import { exponentialBackoff } from './helper.functions';
+import { MqttTransport } from './transports/mqtt.transport';
+import { ClientDisconnectedError, RequestAbortedError, RequestTimeoutError } from './errors';
+
+/**
+ * @typedef {Object} PublishOptions
+ * @property {AbortSignal|null} [signal] signal for cancelling the network request
+ * @property {{firstResponse?: number, completion?: number, payload?: number}} [timeouts] overrides for the client
+ * timeouts, in milliseconds
+ * @property {function(NetworkRequestProgress)|Observer<NetworkRequestProgress>} [onProgress] subscriber for the
+ * responses received for each watched target
+ * @property {boolean} [awaitPayload] for the instance and pipeline commands, resolve with the data of the first
+ * payload answering the command instead of the node notifications
+ * @property {function()} [onSent] called when the message is published on the network, after leaving the outbound
+ * queue if the connection was down
+ */
 
 export class NaeuralWebClient extends EventEmitter2 {
     logger = null;
@@ -42,12 +88,35 @@ export class NaeuralWebClient extends EventEmitter2 {
             key: '',
             encrypt: true,
             secure: true,
+            signaturePolicy: SIGNATURE_POLICY_DROP,
+            pinning: true,
+            pinnedAddresses: {},
+            trustedSenders: [],
         },
         mqttOptions: {
             url: null,
             username: null,
             password: null,
         },
+        reconnect: {
+            enabled: true,
+            initialDelay: RECONNECT_INITIAL_DELAY,
+            maxDelay: RECONNECT_MAX_DELAY,
+            multiplier: 2,
+            maxAttempts: null,
+            strategy: null,
+        },
+        multiplex: false,
+        transport: null,
+        timeouts: {
+            firstResponse: TIMEOUT_TO_FIRST_RESPONSE,
+            completion: TIMEOUT_MAX_REQUEST_TIME,
+            payload: TIMEOUT_MAX_REQUEST_TIME,
+        },
+        outboundQueue: {
+            enabled: true,
+            ttl: OUTBOUND_QUEUE_TTL,
+        },
         customFormatters: {},
         fleet: [],
     };
@@ -75,6 +144,78 @@ export class NaeuralWebClient extends EventEmitter2 {
         [`${PAYLOADS_STREAM}`]: null,
     };
 
+    /**
+     * The state of each network connection.
+     *
+     * @type {Object.<string, string>}
+     * @private
+     */
+    connectionStates = {};
+
+    /**
+     * The aggregated state of all the network connections.
+     *
+     * @type {BehaviorSubject<string>}
+     * @private
+     */
+    connectionState = new BehaviorSubject(CONNECTION_STATE_DISCONNECTED);
+
+    /**
+     * The number of consecutive failed reconnect attempts for each connection.
+     *
+     * @type {Object.<string, number>}
+     * @private
+     */
+    reconnectAttempts = {};
+
+    /**
+     * Handlers for the scheduled reconnect attempts.
+     *
+     * @type {Object.<string, number>}
+     * @private
+     */
+    reconnectTimeoutIds = {};
+
+    /**
+     * Subscriptions processing the incoming network streams.
+     *
+     * @type {Array<Subscription>}
+     * @private
+     */
+    streamSubscriptions = [];
+
+    /**
+     * Flag signalling that the connections are closed on purpose and should not be reestablished.
+     *
+     * @type {boolean}
+     * @private
+     */
+    shuttingDown = false;
+
+    /**
+     * The active node managers, indexed by node.
+     *
+     * @type {Object.<string, NodeManager>}
+     * @private
+     */
+    nodeManagers = {};
+
+    /**
+     * The blockchain address each node is pinned to, indexed by node.
+     *
+     * @type {Object.<string, string>}
+     * @private
+     */
+    pinnedAddresses = {};
+
+    /**
+     * The messages waiting for the outbound connection to be (re)established.
+     *
+     * @type {OutboundQueue}
+     * @private
+     */
+    outboundQueue = null;
+
     /**
      *
      * @type {NaeuralBC}
@@ -85,7 +226,13 @@ export class NaeuralWebClient extends EventEmitter2 {
         super();
 
         this.logger = new Logger();
-        this.bootOptions = Object.assign(this.bootOptions, options);
+        this.bootOptions = Object.assign(this.bootOptions, options, {
+            blockchain: { ...this.bootOptions.blockchain, ...(options.blockchain ?? {}) },
+            mqttOptions: { ...this.bootOptions.mqttOptions, ...(options.mqttOptions ?? {}) },
+            reconnect: { ...this.bootOptions.reconnect, ...(options.reconnect ?? {}) },
+            timeouts: { ...this.bootOptions.timeouts, ...(options.timeouts ?? {}) },
+            outboundQueue: { ...this.bootOptions.outboundQueue, ...(options.outboundQueue ?? {}) },
+        });
 
         if (!options.initiator) {
             this.bootOptions.initiator = uuidv4().substring(0, 13);
@@ -114,8 +261,21 @@ export class NaeuralWebClient extends EventEmitter2 {
         }
 
         this.naeuralBC = new NaeuralBC();
+        this.pinnedAddresses = { ...(this.bootOptions.blockchain?.pinnedAddresses ?? {}) };
         this.state = new StateManager(this.logger);
         this.schemas = defaultSchemas();
+
+        [
+            ZxAI_ENGINE_REGISTERED,
+            ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+            ZxAI_ENGINE_ONLINE,
+            ZxAI_ENGINE_OFFLINE,
+        ].forEach((event) => {
+            this.state.getNodeStatusTracker().on(event, (status) => this.emit(event, status));
+        });
+
+        this.outboundQueue = new OutboundQueue(this.bootOptions.outboundQueue?.ttl ?? OUTBOUND_QUEUE_TTL);
+        this.outboundQueue.on(ZxAI_OUTBOUND_QUEUE_UPDATED, (status) => this.emit(ZxAI_OUTBOUND_QUEUE_UPDATED, status));
     }
 
     setNetworkConnectionOptions(options) {
@@ -126,39 +286,174 @@ export class NaeuralWebClient extends EventEmitter2 {
         this.naeuralBC.loadIdentity(options);
     }
 
+    /**
+     * Loads the client identity from an encrypted keystore. The `passphrase` can be a callback prompting the user,
+     * called with the address stored in the keystore.
+     *
+     * @param {Keystore|string} keystore
+     * @param {string|function(string): (string|Promise<string>)} passphrase
+     * @return {Promise<NaeuralWebClient>}
+     */
+    async loadKeystore(keystore, passphrase) {
+        await this.naeuralBC.loadKeystore(keystore, passphrase, { debug: this.bootOptions.blockchain?.debug });
+
+        return this;
+    }
+
+    /**
+     * Loads the client identity kept by the `provider`, generating and storing it on first use. This keeps the client
+     * address stable across sessions. The private key is held in clear by the client, as with any other loaded
+     * identity.
+     *
+     * @param {IdentityProvider} provider
+     * @return {Promise<NaeuralWebClient>}
+     */
+    async loadIdentityFromProvider(provider) {
+        const keyPair = await provider.loadOrCreate();
+        this.naeuralBC.loadIdentity({ keyPair, debug: this.bootOptions.blockchain?.debug });
+
+        return this;
+    }
+
+    /**
+     * Exports the client identity as a keystore encrypted with the `passphrase`.
+     *
+     * @param {string} passphrase
+     * @return {Promise<Keystore>}
+     */
+    exportKeystore(passphrase) {
+        return this.naeuralBC.exportKeystore(passphrase);
+    }
+
+    /**
+     * Opens the network connections and starts processing the incoming streams. By default, each stream and the
+     * outbound messages use dedicated connections. When the `multiplex` boot option is set, a single connection is
+     * used for all the subscriptions and for publishing, the incoming messages being routed by topic.
+     */
     connect() {
+        this.shuttingDown = false;
+        this.connectionStates = {};
+
+        if (this.bootOptions.multiplex === true) {
+            const connection = this._createConnection(MULTIPLEXED_CONNECTION);
+            Object.keys(this.connections).forEach((name) => {
+                this.connections[name] = connection;
+            });
+        } else {
+            Object.keys(this.connections).forEach((name) => {
+                this.connections[name] = this._createConnection(name);
+            });
+        }
+
         this.networkStreams[`${HEARTBEATS_STREAM}`] = this.connectUpstream(this.connections.heartbeats, this.topicPaths[`${HEARTBEATS_STREAM}`]);
         this.networkStreams[`${NOTIFICATIONS_STREAM}`] = this.connectUpstream(this.connections.notifications, this.topicPaths[`${NOTIFICATIONS_STREAM}`]);
         this.networkStreams[`${PAYLOADS_STREAM}`] = this.connectUpstream(this.connections.payloads, this.topicPaths[`${PAYLOADS_STREAM}`]);
 
-        this.networkStreams[`${HEARTBEATS_STREAM}`].subscribe((message) =>
-            this._heartbeatProcessor(message),
-        );
+        this.streamSubscriptions = [
+            this.networkStreams[`${HEARTBEATS_STREAM}`].subscribe((message) =>
+                this._heartbeatProcessor(message),
+            ),
+            this.networkStreams[`${NOTIFICATIONS_STREAM}`].subscribe((message) =>
+                this._notificationsProcessor(message),
+            ),
+            this.networkStreams[`${PAYLOADS_STREAM}`].subscribe((message) =>
+                this._payloadsProcessor(message),
+            ),
+        ];
+    }
 
-        this.networkStreams[`${NOTIFICATIONS_STREAM}`].subscribe((message) =>
-            this._notificationsProcessor(message),
+    /**
+     * Closes all the network connections. Any pending network requests are rejected with a `ClientDisconnectedError`,
+     * as their responses can no longer be received.
+     *
+     * @return {Promise<NaeuralWebClient>}
+     */
+    async disconnect() {
+        this.shuttingDown = true;
+
+        Object.keys(this.reconnectTimeoutIds).forEach((name) => {
+            clearTimeout(this.reconnectTimeoutIds[name]);
+        });
+        this.reconnectTimeoutIds = {};
+
+        this.streamSubscriptions.forEach((subscription) => subscription.unsubscribe());
+        this.streamSubscriptions = [];
+
+        const openConnections = new Set(Object.values(this.connections).filter((connection) => connection !== null));
+        Object.keys(this.connections).forEach((name) => {
+            this.connections[name] = null;
+        });
+
+        await Promise.all(
+            [...openConnections].map(
+                (connection) => connection.end(),
+            ),
         );
 
-        this.networkStreams[`${PAYLOADS_STREAM}`].subscribe((message) =>
-            this._payloadsProcessor(message),
+        Object.keys(this.connectionStates).forEach((name) =>
+            this._setConnectionState(name, CONNECTION_STATE_DISCONNECTED),
         );
+        this.outboundQueue.clear();
+        this.state.rejectPendingRequests((report) => new ClientDisconnectedError(report));
 
-        this.connections.outbound = mqtt.connect(this.bootOptions.mqttOptions.url, {
-            username: this.bootOptions.mqttOptions.username,
-            password: this.bootOptions.mqttOptions.password,
-            clean: true,
-            clientId: null,
-        });
+        return this;
+    }
 
-        this.connections.outbound.on('connect', () => {
-            this.logger.log('Successfully connected to MQTT on outbound connection.');
-        });
+    /**
+     * Disconnects the client and stops all the background processes. A new identity can be loaded and `connect()` can
+     * be called again after shutting down.
+     *
+     * @return {Promise<NaeuralWebClient>}
+     */
+    async shutdown() {
+        await this.disconnect();
+        this.state.getNodeStatusTracker().stop();
+        this.getNodeManagers().forEach((manager) => manager.dispose());
+
+        this.connectionState.next(CONNECTION_STATE_SHUTDOWN);
+        this.emit(ZxAI_CLIENT_SHUTDOWN, { timestamp: new Date().getTime() });
+
+        return this;
+    }
 
-        this.connections.outbound.on('error', this._onError);
+    /**
+     * Returns an observable emitting the aggregated state of all the network connections. The state is
+     * `connected` only when all connections are up.
+     *
+     * @return {Observable<string>}
+     */
+    getConnectionState() {
+        return this.connectionState.asObservable().pipe(distinctUntilChanged());
     }
 
+    /**
+     * Returns the state of each network connection.
+     *
+     * @return {Object.<string, string>}
+     */
+    getConnectionStates() {
+        return { ...this.connectionStates };
+    }
+
+    /**
+     * Returns the queue holding the messages published while the outbound connection is down.
+     *
+     * @return {OutboundQueue}
+     */
+    getOutboundQueue() {
+        return this.outboundQueue;
+    }
+
+    /**
+     * Replaces the controlled fleet. The managers of the nodes leaving the fleet are disposed of.
+     *
+     * @param {Array<string>} fleet
+     */
     setFleet(fleet) {
         this.bootOptions.fleet = fleet;
+        this.getNodeManagers()
+            .filter((manager) => !fleet.includes(manager.getNode()))
+            .forEach((manager) => manager.dispose());
     }
 
     getFleet() {
@@ -166,34 +461,33 @@ export class NaeuralWebClient extends EventEmitter2 {
     }
 
     connectUpstream(handler, topic) {
-        handler = mqtt.connect(this.bootOptions.mqttOptions.url, {
-            username: this.bootOptions.mqttOptions.username,
-            password: this.bootOptions.mqttOptions.password,
-            clean: true,
-            clientId: null,
-        });
+        if (!handler) {
+            handler = this._createConnection(topic);
+        }
 
         handler.on('connect', () => {
-            this.logger.log('Successfully connected to MQTT.');
-            handler.subscribe(topic, (err) => {
-                if (!err) {
+            handler
+                .subscribe(topic)
+                .then(() => {
                     this.logger.log(`Successfully connected to "${topic}".`);
-
-                    return;
-                }
-
-                this.logger.error(`Could not subscribe to "${topic}".`);
-            });
+                })
+                .catch(() => {
+                    this.logger.error(`Could not subscribe to "${topic}".`);
+                });
         });
 
-        handler.on('error', this._onError);
-
         return fromEvent(handler, 'message')
             .pipe(
+                filter((message) => message[0] === topic),
                 map((message) => this._toString(message[1])),
-                filter((message) => this._messageIsSigned(message)),
+                concatMap(async (message) => ((await this._messageIsSigned(message)) ? message : null)),
+                filter((message) => message !== null),
                 map((message) => this._toJSON(message)),
+                filter((message) => message !== null),
                 filter((message) => this._messageIsFromEdgeNode(message)),
+                filter((message) => this._messageFromPinnedAddress(message)),
+                concatMap((message) => this._decryptMessage(message)),
+                filter((message) => message !== null),
                 tap((message) => this._processSupervisorMessage(message)),
                 filter((message) => this._messageFromControlledFleet(message)),
                 filter((message) => this._messageHasKnownFormat(message)),
@@ -209,6 +503,41 @@ export class NaeuralWebClient extends EventEmitter2 {
         return this.naeuralBC.getAddress();
     }
 
+    /**
+     * Pins the `node` to a blockchain `address`. Messages claiming to come from the node that are not signed by the
+     * pinned address are dropped and reported through the `ZxAI_PIN_VIOLATION` event.
+     *
+     * @param {string} node
+     * @param {string} address
+     * @return {NaeuralWebClient}
+     */
+    pinNodeAddress(node, address) {
+        this.pinnedAddresses[node] = address;
+
+        return this;
+    }
+
+    /**
+     * Removes the pin of a `node`, its address being learned again from its next heartbeat.
+     *
+     * @param {string} node
+     * @return {NaeuralWebClient}
+     */
+    unpinNodeAddress(node) {
+        delete this.pinnedAddresses[node];
+
+        return this;
+    }
+
+    /**
+     * Returns the blockchain address each node is pinned to.
+     *
+     * @return {Object.<string, string>}
+     */
+    getPinnedAddresses() {
+        return { ...this.pinnedAddresses };
+    }
+
     getStream(stream) {
         return this.networkStreams[stream];
     }
@@ -218,17 +547,64 @@ export class NaeuralWebClient extends EventEmitter2 {
     }
 
     /**
-     * Returns a `NodeManager` for a specific node.
+     * Returns `true` if the node's heartbeats are received at the advertised interval.
+     *
+     * @param {string} node
+     * @return {boolean}
+     */
+    isOnline(node) {
+        return this.state.isOnline(node);
+    }
+
+    /**
+     * Returns the liveness status for all the nodes that sent heartbeats.
+     *
+     * @return {Object.<string, NodeStatus>}
+     */
+    getNodesStatus() {
+        return this.state.getNodesStatus();
+    }
+
+    /**
+     * Returns the `NodeManager` for a specific node. Managers are cached, the same instance is returned for a node
+     * until it is disposed of. No manager is returned while the node is offline or outside the fleet.
      *
      * @param node
      * @return {Promise<NodeManager|null>}
      */
     async getNodeManager(node) {
-        if (await this._checkNode(node)) {
-            return NodeManager.getNodeManager(this, node, this.logger);
+        if (!(await this._checkNode(node))) {
+            return null;
+        }
+
+        if (!this.nodeManagers[node]) {
+            this.nodeManagers[node] = NodeManager.getNodeManager(this, node, this.logger);
+        }
+
+        return this.nodeManagers[node];
+    }
+
+    /**
+     * Returns all the active `NodeManager`s.
+     *
+     * @return {Array<NodeManager>}
+     */
+    getNodeManagers() {
+        return Object.values(this.nodeManagers);
+    }
+
+    /**
+     * Removes a disposed `NodeManager` from the registry. Called by `NodeManager.dispose()`.
+     *
+     * @param {NodeManager} manager
+     * @return {NaeuralWebClient}
+     */
+    releaseNodeManager(manager) {
+        if (this.nodeManagers[manager.getNode()] === manager) {
+            delete this.nodeManagers[manager.getNode()];
         }
 
-        return null;
+        return this;
     }
 
     /**
@@ -314,14 +690,23 @@ export class NaeuralWebClient extends EventEmitter2 {
     }
 
     /**
-     * Method for publishing a message for an NaeuralEdgeProtocol Node.
+     * Method for publishing a message for an NaeuralEdgeProtocol Node. The request can be cancelled through the
+     * `signal` option, in which case the returned promise is rejected with a `RequestAbortedError`.
+     *
+     * While the outbound connection is down, the message is held in the outbound queue and sent once the connection
+     * is restored. The request timeouts only start when the message is sent. If the connection is not restored within
+     * the queue TTL, the message is dropped and the request fails with a `RequestTimeoutError` in the `outbound` phase.
+     *
+     * When encryption is enabled, the message can only be sent once the node address is known. Until its first
+     * heartbeat is received, the message is held in the same way and fails after the queue TTL.
      *
      * @param {string} node
      * @param {Object} message
      * @param {Array<Array<string>>} extraWatches
+     * @param {PublishOptions} options
      * @return {Promise<unknown>}
      */
-    async publish(node, message, extraWatches = []) {
+    async publish(node, message, extraWatches = [], options = {}) {
         if (!message) {
             return new Promise((resolve) => {
                 resolve({
@@ -336,86 +721,237 @@ export class NaeuralWebClient extends EventEmitter2 {
         message['EE_ID'] = node;
         message['TIME'] = new Date();
 
-        const watches = [];
-        if (extraWatches.length > 0) {
-            extraWatches.forEach((watch) => {
-                watches.push(watch);
-            });
-        }
+        const watches = NetworkRequestsHandler.computeWatches(node, message, extraWatches);
 
-        switch (message['ACTION']) {
-        case NODE_COMMAND_UPDATE_PIPELINE_INSTANCE:
-            watches.push([
-                node,
-                message['PAYLOAD']['NAME'],
-                message['PAYLOAD']['SIGNATURE'],
-                message['PAYLOAD']['INSTANCE_ID'],
-            ]);
-            break;
-        case NODE_COMMAND_UPDATE_CONFIG:
-        case NODE_COMMAND_PIPELINE_COMMAND:
-            watches.push([node, message['PAYLOAD']['NAME'], null, null]);
+        const topic = `lummetry/${node}/config`;
+        const encrypt = this.bootOptions.blockchain?.encrypt === true;
+        const destinationAddress = this.state.getNodeAddress(node);
+        const awaitsAddress = encrypt && !destinationAddress;
 
-            break;
-        case NODE_COMMAND_ARCHIVE_CONFIG:
-            watches.push([node, message['PAYLOAD'], null, null]);
+        const signal = options.signal ?? null;
+        if (signal?.aborted) {
+            throw new RequestAbortedError(signal.reason);
+        }
 
-            break;
-        case NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE:
-            message['PAYLOAD'].forEach((updateInstanceCommand) => {
-                watches.push([
-                    node,
-                    updateInstanceCommand['NAME'],
-                    updateInstanceCommand['SIGNATURE'],
-                    updateInstanceCommand['INSTANCE_ID'],
-                ]);
-            });
+        const queueOptions = this.bootOptions.outboundQueue ?? {};
+        const timeouts = {
+            ...this.bootOptions.timeouts,
+            ...(options.timeouts ?? {}),
+        };
 
-            break;
-        }
+        return new Promise((resolve, reject) => {
+            let queuedId = null;
+            let timeoutsStarted = this._isOutboundConnected() && !awaitsAddress;
 
-        const mqttConnection = this.connections.outbound;
-        const blockchainEngine = this.naeuralBC;
+            const onAbort = () => request.abort(new RequestAbortedError(signal.reason, request.getReport()));
+            const settle = (callback) => (result) => {
+                signal?.removeEventListener('abort', onAbort);
+                if (queuedId !== null) {
+                    this.outboundQueue.remove(queuedId);
+                }
+                callback(result);
+            };
 
-        return new Promise(async (resolve, reject) => {
-            const request = this.state.registerMessage(message, watches, resolve, reject);
+            const request = this.state.registerMessage(
+                message,
+                watches,
+                settle(resolve),
+                settle(reject),
+                timeouts,
+                timeoutsStarted,
+            );
             message['SESSION_ID'] = request.getId();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (options.onProgress) {
+                request.getProgress().subscribe(options.onProgress);
+            }
 
-            let toSend = {...message};
-            // todo: encrypt
-            // if (this.bootOptions.blockchain.encrypt === true) {
-            //     const encrypted = blockchainEngine.encrypt(
-            //         JSON.stringify({
-            //             ACTION: message.ACTION,
-            //             PAYLOAD: message.PAYLOAD,
-            //         }),
-            //         this.universeAddresses[node],
-            //     );
-            //
-            //     toSend = {
-            //         EE_IS_ENCRYPTED: true,
-            //         EE_ENCRYPTED_DATA: encrypted,
-            //         INITIATOR_ID: message.INITIATOR_ID,
-            //         SESSION_ID: message.SESSION_ID,
-            //         EE_ID: message.EE_ID,
-            //         TIME: message.TIME,
-            //     };
-            // }
-
-            blockchainEngine.sign(toSend).then(signed => {
-                mqttConnection.publish(`lummetry/${node}/config`, signed);
+            const send = (signed) => {
+                queuedId = null;
+                if (request.isClosed()) {
+                    // aborted before reaching the network
+                    return;
+                }
+
+                if (!timeoutsStarted) {
+                    this.state.startRequestTimeouts(request, timeouts);
+                    timeoutsStarted = true;
+                }
+
+                request.markAsSent();
+                options.onSent?.();
+                this.connections.outbound.publish(topic, signed).catch((error) => this._onError(error));
 
                 if (watches.length === 0) {
+                    signal?.removeEventListener('abort', onAbort);
                     resolve({
                         DATA: {
                             NOTIFICATION: `${message['ACTION']} command sent.`,
                         },
                     });
                 }
-            });
+            };
+
+            const ttl = queueOptions.ttl ?? OUTBOUND_QUEUE_TTL;
+            const addressed = awaitsAddress
+                ? this._awaitNodeAddress(node, request, ttl)
+                : Promise.resolve(destinationAddress);
+
+            addressed
+                .then((address) => this._signOutbound(message, encrypt ? address : null))
+                .then((signed) => {
+                    if (request.isClosed() || queueOptions.enabled === false || this._isOutboundConnected()) {
+                        send(signed);
+
+                        return;
+                    }
+
+                    queuedId = this.outboundQueue.enqueue(
+                        { topic, node, action: message['ACTION'] },
+                        () => send(signed),
+                        () => {
+                            queuedId = null;
+                            request.abort(
+                                new RequestTimeoutError(TIMEOUT_PHASE_OUTBOUND, request.listPendingWatches(), ttl, request.getReport()),
+                            );
+                        },
+                        ttl,
+                    );
+                })
+                .catch((error) => {
+                    this.logger.error(`Could not prepare the ${message['ACTION']} command for ${node}: ${error.message}`);
+                    request.abort(error);
+                });
         });
     }
 
+    /**
+     * Waits for the address of the `node` to be received in a heartbeat. Rejects with a `RequestTimeoutError` in the
+     * `outbound` phase if no address is received within the `timeout`.
+     *
+     * @param {string} node
+     * @param {NetworkRequest} request
+     * @param {number} timeout
+     * @return {Promise<string>}
+     * @private
+     */
+    _awaitNodeAddress(node, request, timeout) {
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            const onUpdate = (data, updatedNode) => {
+                // an aborted request is dropped by send(), there is no need to keep waiting for it
+                const address = request.isClosed() ? null : this.state.getNodeAddress(node);
+                if (request.isClosed() || (updatedNode === node && address !== null)) {
+                    clearTimeout(timeoutId);
+                    this.state.off('state.update', onUpdate);
+                    resolve(address);
+                }
+            };
+
+            this.state.on('state.update', onUpdate);
+            timeoutId = setTimeout(() => {
+                this.state.off('state.update', onUpdate);
+                if (request.isClosed()) {
+                    resolve(null);
+
+                    return;
+                }
+
+                reject(
+                    new RequestTimeoutError(TIMEOUT_PHASE_OUTBOUND, request.listPendingWatches(), timeout, request.getReport()),
+                );
+            }, timeout);
+        });
+    }
+
+    /**
+     * Signs an outbound `message`, encrypting its `ACTION` and `PAYLOAD` for the `destinationAddress` if one is
+     * provided.
+     *
+     * @param {Object} message
+     * @param {string|null} destinationAddress
+     * @return {Promise<string>} the signed message
+     * @private
+     */
+    async _signOutbound(message, destinationAddress) {
+        let toSend = { ...message };
+        if (destinationAddress !== null) {
+            const encrypted = await this.naeuralBC.encrypt(
+                JSON.stringify({
+                    ACTION: message.ACTION,
+                    PAYLOAD: message.PAYLOAD,
+                }),
+                destinationAddress,
+            );
+
+            toSend = {
+                EE_IS_ENCRYPTED: true,
+                EE_ENCRYPTED_DATA: encrypted,
+                INITIATOR_ID: message.INITIATOR_ID,
+                SESSION_ID: message.SESSION_ID,
+                EE_ID: message.EE_ID,
+                TIME: message.TIME,
+            };
+        }
+
+        return this.naeuralBC.sign(toSend);
+    }
+
+    /**
+     * Publishes a command stamped with a sticky `commandId` and resolves with the data of the first payload carrying
+     * the same id, received from the instance at `path`. The payload is enough for the command to succeed, the node
+     * notifications not being awaited. The command fails if the node rejects it, or with a `RequestTimeoutError` if
+     * the payload is not received within the `payload` timeout, counted from the moment the command is sent.
+     *
+     * @param {string} node
+     * @param {Object} message
+     * @param {string} commandId
+     * @param {Array<string|null>} path
+     * @param {PublishOptions} options
+     * @return {Promise<Object>}
+     */
+    async publishStickyCommand(node, message, commandId, path, options = {}) {
+        const timeout = options.timeouts?.payload ?? this.bootOptions.timeouts?.payload ?? TIMEOUT_MAX_REQUEST_TIME;
+        const signal = options.signal ?? null;
+
+        let onAbort = null;
+        const payload = new Promise((resolve, reject) => {
+            this.state.registerStickyCommand(commandId, path, resolve, reject, timeout);
+
+            onAbort = () => {
+                this.state.releaseStickyCommand(commandId);
+                reject(new RequestAbortedError(signal.reason));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+
+        const pending = new Promise(() => {});
+        const published = this.publish(node, message, [], {
+            ...options,
+            onSent: () => {
+                this.state.startStickyCommandTimeout(commandId);
+                options.onSent?.();
+            },
+        }).then(
+            () => pending,
+            (error) => {
+                // the payload timeout governs the commands that were sent but never notified
+                if (error instanceof RequestTimeoutError && error.phase !== TIMEOUT_PHASE_OUTBOUND) {
+                    return pending;
+                }
+
+                throw error;
+            },
+        );
+
+        try {
+            return await Promise.race([payload, published]);
+        } finally {
+            this.state.releaseStickyCommand(commandId);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
     /**
      *
      * @param message
@@ -468,6 +1004,11 @@ export class NaeuralWebClient extends EventEmitter2 {
         context.metadata = messageClone;
         context.metadata['SESSION_ID'] = data['SESSION_ID'];
 
+        if (data[STICKY_COMMAND_ID_KEY]) {
+            this.state.onStickyPayload(data[STICKY_COMMAND_ID_KEY], messageClone.EE_PAYLOAD_PATH, data, context);
+            this.emit(NETWORK_STICKY_PAYLOAD_RECEIVED, null, data, context);
+        }
+
         this.emit(context.instance.signature, null, data, context);
 
         return true;
@@ -541,8 +1082,7 @@ export class NaeuralWebClient extends EventEmitter2 {
     }
 
     /**
-     * Private method for checking if a specified node is in the controlled fleet or if it's heartbeat has been
-     * witnessed.
+     * Private method for checking if a specified node is in the controlled fleet and if it's online.
      *
      * @param {string} node
      * @return {Promise<boolean>}
@@ -555,15 +1095,7 @@ export class NaeuralWebClient extends EventEmitter2 {
             return false;
         }
 
-        // TODO: parse supervisor info for nodes that are missing
-        // if (this.alertedNodes[node]) {
-        //     this.logger.error(`[Main Thread] Node ${node} is offline.`);
-        //
-        //     return false;
-        // }
-
-        const universe = this.getUniverse();
-        if (!universe[node]) {
+        if (!this.state.isOnline(node)) {
             this.logger.error(`Node ${node} is either offline or no heartbeat has been witnessed yet.`);
 
             return false;
@@ -572,6 +1104,129 @@ export class NaeuralWebClient extends EventEmitter2 {
         return true;
     }
 
+    /**
+     * Opens a new network connection and keeps track of its state. When the connection drops, it will be reestablished
+     * according to the configured reconnect strategy. The connection is made through the transport returned by the
+     * `transport` boot option factory, defaulting to MQTT.
+     *
+     * @param {string} name
+     * @return {Transport}
+     * @private
+     */
+    _createConnection(name) {
+        const connection =
+            typeof this.bootOptions.transport === 'function'
+                ? this.bootOptions.transport(name, this.bootOptions)
+                : new MqttTransport(this.bootOptions.mqttOptions);
+
+        this.reconnectAttempts[name] = 0;
+        this._setConnectionState(name, CONNECTION_STATE_CONNECTING);
+
+        connection.on('connect', () => {
+            this.logger.log(`Successfully connected on ${name} connection.`);
+            this.reconnectAttempts[name] = 0;
+            this._setConnectionState(name, CONNECTION_STATE_CONNECTED);
+
+            if (name === 'outbound' || name === MULTIPLEXED_CONNECTION) {
+                this.outboundQueue.flush();
+            }
+        });
+
+        connection.on('close', () => {
+            if (this.shuttingDown || !Object.values(this.connections).includes(connection)) {
+                return;
+            }
+
+            this._setConnectionState(name, CONNECTION_STATE_DISCONNECTED);
+            this._scheduleReconnect(name, connection);
+        });
+
+        connection.on('error', (error) => {
+            this._onError(error);
+            this.emit(ZxAI_CLIENT_CONNECTION_ERROR, { connection: name, error });
+        });
+
+        return connection.connect();
+    }
+
+    /**
+     * Checks if messages can be published right away on the outbound connection.
+     *
+     * @return {boolean}
+     * @private
+     */
+    _isOutboundConnected() {
+        return this.connections.outbound?.isConnected() === true;
+    }
+
+    /**
+     * Schedules the next reconnect attempt for the `connection`. The delay is computed by the configured reconnect
+     * strategy, if the strategy returns `null` no more attempts are made.
+     *
+     * @param {string} name
+     * @param {Transport} connection
+     * @private
+     */
+    _scheduleReconnect(name, connection) {
+        if (this.reconnectTimeoutIds[name] !== undefined) {
+            return;
+        }
+
+        const options = this.bootOptions.reconnect ?? {};
+        const attempt = this.reconnectAttempts[name];
+        const delay = options.enabled === false ? null : (options.strategy ?? exponentialBackoff)(attempt, options);
+
+        if (delay === null || delay === undefined) {
+            this.logger.error(`Giving up reconnecting the ${name} connection after ${attempt} attempts.`);
+
+            return;
+        }
+
+        this.logger.log(`Reconnecting the ${name} connection in ${delay}ms.`);
+        this.reconnectTimeoutIds[name] = setTimeout(() => {
+            delete this.reconnectTimeoutIds[name];
+            this.reconnectAttempts[name] = attempt + 1;
+            this._setConnectionState(name, CONNECTION_STATE_CONNECTING);
+            connection.reconnect();
+        }, delay);
+    }
+
+    /**
+     * Updates the state of one connection and recomputes the aggregated connection state, emitting the
+     * `ZxAI_CLIENT_CONNECTED` and `ZxAI_CLIENT_DISCONNECTED` events on transitions.
+     *
+     * @param {string} name
+     * @param {string} state
+     * @private
+     */
+    _setConnectionState(name, state) {
+        this.connectionStates[name] = state;
+
+        const states = Object.values(this.connectionStates);
+        let aggregated = CONNECTION_STATE_DISCONNECTED;
+        if (states.length > 0 && states.every((connectionState) => connectionState === CONNECTION_STATE_CONNECTED)) {
+            aggregated = CONNECTION_STATE_CONNECTED;
+        } else if (
+            states.some((connectionState) =>
+                [CONNECTION_STATE_CONNECTED, CONNECTION_STATE_CONNECTING].includes(connectionState),
+            )
+        ) {
+            aggregated = CONNECTION_STATE_CONNECTING;
+        }
+
+        const previous = this.connectionState.getValue();
+        if (previous === aggregated) {
+            return;
+        }
+
+        this.connectionState.next(aggregated);
+        if (aggregated === CONNECTION_STATE_CONNECTED) {
+            this.emit(ZxAI_CLIENT_CONNECTED, { timestamp: new Date().getTime() });
+        } else if (previous === CONNECTION_STATE_CONNECTED) {
+            this.emit(ZxAI_CLIENT_DISCONNECTED, { timestamp: new Date().getTime(), connections: this.getConnectionStates() });
+        }
+    }
+
     /**
      *
      * @param message
@@ -592,22 +1247,68 @@ export class NaeuralWebClient extends EventEmitter2 {
     }
 
     /**
+     * Applies the configured signature policy on the received message. With the `drop` policy, messages that fail the
+     * signature check are discarded, with the `flag` policy they are let through and with the `pass` policy no check
+     * is performed. Both dropped and flagged messages are reported through the `ZxAI_INVALID_SIGNATURE` event.
      *
-     * @param message
+     * @param {string} message
+     * @return {Promise<boolean>}
      * @private
      */
-    _messageIsSigned(message) {
-        // todo: check signature
-        return true;
+    async _messageIsSigned(message) {
+        const policy = this.bootOptions.blockchain?.signaturePolicy ?? SIGNATURE_POLICY_DROP;
+        if (policy === SIGNATURE_POLICY_PASS) {
+            return true;
+        }
+
+        const { valid, reason } = await this.naeuralBC.checkSignature(message);
+        if (valid) {
+            return true;
+        }
+
+        const action = policy === SIGNATURE_POLICY_FLAG ? SIGNATURE_POLICY_FLAG : SIGNATURE_POLICY_DROP;
+        let envelope = null;
+        try {
+            envelope = JSON.parse(message);
+        } catch (e) {
+            // malformed messages are reported as they were received
+        }
+
+        this.logger.warn(`Message failed signature verification (${action}): ${reason}`);
+        this.emit(ZxAI_INVALID_SIGNATURE, {
+            action,
+            reason,
+            sender: envelope?.EE_SENDER ?? null,
+            path: envelope?.EE_PAYLOAD_PATH ?? null,
+            message,
+        });
+
+        return action === SIGNATURE_POLICY_FLAG;
     }
 
     /**
+     * Parses a received message. Messages that are not valid JSON objects are logged and `null` is returned in order
+     * for them to be dropped without interrupting the stream.
      *
-     * @param message
+     * @param {string} message
+     * @return {Object|null}
      * @private
      */
     _toJSON(message) {
-        return JSON.parse(message);
+        let parsed = null;
+        try {
+            parsed = JSON.parse(message);
+        } catch (e) {
+            // reported below
+        }
+
+        if (parsed === null || typeof parsed !== 'object') {
+            this.logger.warn('Dropped a message that is not a valid JSON object.');
+
+            return null;
+        }
+
+        return parsed;
     }
 
     /**
@@ -625,6 +1326,65 @@ export class NaeuralWebClient extends EventEmitter2 {
         return fromEdgeNode;
     }
 
+    /**
+     * Replaces the encrypted envelope of a message with its decrypted contents. The `EE_*` fields are only taken from
+     * the signed envelope, the decrypted contents cannot override the sender or the path. Messages that are not
+     * encrypted are returned untouched. Messages encrypted for another recipient are reported through the `ZxAI_MESSAGE_NOT_FOR_US`
+     * event and `null` is returned in order for them to be dropped.
+     *
+     * @param {Object} message
+     * @return {Promise<Object|null>}
+     * @private
+     */
+    async _decryptMessage(message) {
+        if (!message.EE_IS_ENCRYPTED) {
+            return message;
+        }
+
+        const address = this.naeuralBC.keyPair ? this.getBlockChainAddress() : null;
+        const destinations = [].concat(message.EE_DESTINATION ?? []);
+
+        let reason = null;
+        let decrypted = null;
+        if (address === null) {
+            reason = 'No identity loaded for decrypting the message.';
+        } else if (destinations.length > 0 && !destinations.includes(address)) {
+            reason = 'Message is addressed to another recipient.';
+        } else {
+            try {
+                decrypted = JSON.parse(await this.naeuralBC.decrypt(message.EE_ENCRYPTED_DATA, message.EE_SENDER));
+            } catch (e) {
+                reason = 'Message could not be decrypted with the loaded identity.';
+            }
+
+            if (decrypted !== null && (typeof decrypted !== 'object' || Array.isArray(decrypted))) {
+                decrypted = null;
+                reason = 'Decrypted message is not a JSON object.';
+            }
+        }
+
+        if (decrypted === null) {
+            this.emit(ZxAI_MESSAGE_NOT_FOR_US, {
+                reason,
+                sender: message.EE_SENDER ?? null,
+                path: message.EE_PAYLOAD_PATH,
+            });
+
+            return null;
+        }
+
+        const envelope = { ...message };
+        delete envelope.EE_IS_ENCRYPTED;
+        delete envelope.EE_ENCRYPTED_DATA;
+        Object.keys(decrypted).forEach((key) => {
+            if (key.startsWith('EE_')) {
+                delete decrypted[key];
+            }
+        });
+
+        return { ...decrypted, ...envelope };
+    }
+
     /**
      *
      * @param message
@@ -636,13 +1396,84 @@ export class NaeuralWebClient extends EventEmitter2 {
         return this.bootOptions.fleet.includes(node);
     }
 
+    /**
+     * Checks the sender of a message against the address the originating node is pinned to. Nodes without a pin are
+     * pinned to the sender of their first signed heartbeat, as long as it matches the advertised `EE_ADDR`. The check
+     * runs on the signed envelope, before decryption.
+     * Mismatching messages are reported through the `ZxAI_PIN_VIOLATION` event and dropped.
+     *
+     * @param {Object} message
+     * @return {boolean}
+     * @private
+     */
+    _messageFromPinnedAddress(message) {
+        if (this.bootOptions.blockchain?.pinning === false) {
+            return true;
+        }
+
+        const node = message.EE_PAYLOAD_PATH[0];
+        const sender = message.EE_SENDER ?? null;
+        let expected = this.pinnedAddresses[node] ?? null;
+
+        if (expected === null) {
+            if (message.EE_EVENT_TYPE !== MESSAGE_TYPE_HEARTBEAT || sender === null) {
+                return true;
+            }
+
+            if (!message.EE_ADDR || message.EE_ADDR === sender) {
+                this.pinNodeAddress(node, sender);
+                this.emit(ZxAI_NODE_ADDRESS_PINNED, { node, address: sender });
+
+                return true;
+            }
+
+            expected = message.EE_ADDR;
+        }
+
+        if (sender === expected) {
+            return true;
+        }
+
+        this.logger.warn(`Dropped message for ${node} signed by ${sender}, expected ${expected}.`);
+        this.emit(ZxAI_PIN_VIOLATION, {
+            node,
+            expected,
+            sender,
+            path: message.EE_PAYLOAD_PATH,
+        });
+
+        return false;
+    }
+
+    /**
+     * Checks the sender of a supervisor message against the `trustedSenders` allowlist. When the allowlist is empty,
+     * all supervisors are trusted. Untrusted messages are reported through the `ZxAI_UNTRUSTED_SENDER` event.
+     *
+     * @param {Object} message
+     * @return {boolean}
+     * @private
+     */
+    _messageFromTrustedSender(message) {
+        const trusted = this.bootOptions.blockchain?.trustedSenders ?? [];
+        const sender = message.EE_SENDER ?? null;
+
+        if (trusted.length === 0 || trusted.includes(sender)) {
+            return true;
+        }
+
+        this.logger.warn(`Dropped supervisor message signed by untrusted sender ${sender}.`);
+        this.emit(ZxAI_UNTRUSTED_SENDER, { sender, path: message.EE_PAYLOAD_PATH });
+
+        return false;
+    }
+
     /**
      *
      * @param message
      * @private
      */
     _processSupervisorMessage(message) {
-        if (message.EE_PAYLOAD_PATH[1]?.toLowerCase() === 'admin_pipeline') {
+        if (message.EE_PAYLOAD_PATH[1]?.toLowerCase() === 'admin_pipeline' && this._messageFromTrustedSender(message)) {
             const duplicate = { ...message };
             if (this._messageHasKnownFormat(duplicate)) {
                 this._decodeToInternalFormat(duplicate).then((decoded) => {
@@ -1,5 +1,5 @@
 import { describe, expect, test, jest } from '@jest/globals';
-import {base64ToUrlSafeBase64, decode, encode, urlSafeBase64ToBase64} from '../src/helper.functions';
+import {base64ToUrlSafeBase64, decode, encode, exponentialBackoff, urlSafeBase64ToBase64} from '../src/helper.functions';
 
 const pseudopy = `img = plugin.dataapi_image()
 if img is not None:
@@ -56,4 +56,17 @@ describe('Helper Functions Tests', () => {
             expect(base64ToUrlSafeBase64(base64)).toBe(expectedUrlSafeBase64);
         });
     });
+
+    describe('exponentialBackoff() Tests', () => {
+        test('grows exponentially up to the max delay', () => {
+            const options = { initialDelay: 100, maxDelay: 1000, multiplier: 3 };
+
+            expect([0, 1, 2, 3].map((attempt) => exponentialBackoff(attempt, options))).toEqual([100, 300, 900, 1000]);
+        });
+
+        test('gives up after the max attempts', () => {
+            expect(exponentialBackoff(2, { maxAttempts: 3 })).toBe(4000);
+            expect(exponentialBackoff(3, { maxAttempts: 3 })).toBeNull();
+        });
+    });
 });
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { Buffer } from 'buffer';
+import { IdentityProvider } from '../../src/identity/identity.provider.js';
+import { InMemoryIdentityStore } from '../../src/identity/in.memory.identity.store.js';
+import { NaeuralWebClient } from '../../src/web.client.js';
+import NaeuralBC from '../../src/web.blockchain.js';
+
+describe('Identity Provider Tests', () => {
+    let store;
+    let provider;
+
+    beforeEach(() => {
+        store = new InMemoryIdentityStore();
+        provider = new IdentityProvider(store);
+    });
+
+    const addressOf = (keyPair) => NaeuralBC.addressFromPublicKey(keyPair.getPublic(true, 'hex'));
+
+    test('the stored identity is loaded across sessions', async () => {
+        expect(await provider.load()).toBeNull();
+
+        const created = await provider.create();
+        const loaded = await new IdentityProvider(store).load();
+
+        expect(addressOf(loaded)).toEqual(addressOf(created));
+        expect(await provider.getAddress()).toEqual(addressOf(created));
+        await expect(provider.create()).rejects.toThrow('already stored');
+    });
+
+    test('sessions creating the identity at the same time agree on the stored one', async () => {
+        const [first, second] = await Promise.all([
+            provider.loadOrCreate(),
+            new IdentityProvider(store).loadOrCreate(),
+        ]);
+
+        expect(addressOf(second)).toEqual(addressOf(first));
+        expect(await provider.getAddress()).toEqual(addressOf(first));
+    });
+
+    test('the private key is only stored encrypted with a non-extractable key', async () => {
+        const created = await provider.create();
+        const record = await store.get('default');
+
+        expect(record.wrappingKey.extractable).toBe(false);
+        expect(Buffer.from(record.ciphertext).toString('hex')).not.toContain(created.getPrivate('hex'));
+    });
+
+    test('rotate() replaces and delete() removes the identity', async () => {
+        const created = await provider.create();
+        const rotated = await provider.rotate();
+
+        expect(addressOf(rotated)).not.toEqual(addressOf(created));
+        expect(addressOf(await provider.load())).toEqual(addressOf(rotated));
+
+        await provider.delete();
+
+        expect(await provider.load()).toBeNull();
+    });
+
+    test('the client keeps its address when booting from the provider', async () => {
+        const first = await new NaeuralWebClient({ fleet: [] }).loadIdentityFromProvider(provider);
+        const second = await new NaeuralWebClient({ fleet: [] }).loadIdentityFromProvider(provider);
+
+        expect(second.naeuralBC.getAddress()).toEqual(first.naeuralBC.getAddress());
+        expect(await second.naeuralBC.verify(await second.naeuralBC.sign({ COMMAND: 'get' }))).toBe(true);
+    });
+});
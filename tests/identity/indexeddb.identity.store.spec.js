@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { IDBFactory } from 'fake-indexeddb';
+import { IdentityProvider } from '../../src/identity/identity.provider.js';
+import { IndexedDBIdentityStore } from '../../src/identity/indexeddb.identity.store.js';
+import NaeuralBC from '../../src/web.blockchain.js';
+
+describe('IndexedDB Identity Store Tests', () => {
+    let factory;
+    let store;
+
+    beforeEach(() => {
+        factory = new IDBFactory();
+        store = new IndexedDBIdentityStore('naeural', 'identities', factory);
+    });
+
+    const addressOf = (keyPair) => NaeuralBC.addressFromPublicKey(keyPair.getPublic(true, 'hex'));
+
+    test('records are committed before put() resolves and removed by delete()', async () => {
+        await store.put('default', { value: 1 });
+
+        expect(await new IndexedDBIdentityStore('naeural', 'identities', factory).get('default')).toEqual({ value: 1 });
+
+        await store.delete('default');
+
+        expect(await store.get('default')).toBeNull();
+    });
+
+    test('the client address stays the same across provider reloads', async () => {
+        const created = await new IdentityProvider(store).create();
+
+        const reloaded = new IdentityProvider(new IndexedDBIdentityStore('naeural', 'identities', factory));
+
+        expect(addressOf(await reloaded.load())).toEqual(addressOf(created));
+        expect(await reloaded.getAddress()).toEqual(addressOf(created));
+    });
+
+    test('add() rejects with a ConstraintError when a record is already stored', async () => {
+        await store.add('default', { value: 1 });
+
+        await expect(store.add('default', { value: 2 })).rejects.toMatchObject({ name: 'ConstraintError' });
+        expect(await store.get('default')).toEqual({ value: 1 });
+    });
+
+    test('tabs booting at the same time keep a single stable address', async () => {
+        const tab = () => new IdentityProvider(new IndexedDBIdentityStore('naeural', 'identities', factory));
+
+        const [first, second] = await Promise.all([tab().loadOrCreate(), tab().loadOrCreate()]);
+
+        expect(addressOf(second)).toEqual(addressOf(first));
+        expect(addressOf(await tab().load())).toEqual(addressOf(first));
+    });
+
+    test('writes reject when their transaction is aborted', async () => {
+        const database = await store._open();
+        const transaction = database.transaction.bind(database);
+        database.transaction = (...args) => {
+            const opened = transaction(...args);
+            queueMicrotask(() => opened.abort());
+
+            return opened;
+        };
+
+        await expect(store.put('default', { value: 1 })).rejects.toThrow();
+        expect(await new IndexedDBIdentityStore('naeural', 'identities', factory).get('default')).toBeNull();
+    });
+
+    test('opening a blocked database rejects instead of hanging', async () => {
+        const request = {};
+        const blocked = new IndexedDBIdentityStore('naeural', 'identities', {
+            open: () => {
+                setTimeout(() => request.onblocked());
+
+                return request;
+            },
+        });
+
+        await expect(blocked.get('default')).rejects.toThrow('blocked');
+        expect(blocked.database).toBeNull();
+    });
+});
@@ -0,0 +1,290 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { StateManager } from '../../src/models/state.manager.js';
+import {
+    NODE_COMMAND_FULL_HEARTBEAT,
+    NODE_COMMAND_RESTART,
+    NODE_COMMAND_STOP,
+    NODE_COMMAND_UPDATE_CONFIG,
+    NOTIFICATION_TYPE_EXCEPTION,
+    NOTIFICATION_TYPE_NORMAL,
+    PIPELINE_FAILED,
+    PIPELINE_OK,
+} from '../../src/constants.js';
+import { NodeRejectedError, PartialFailureError, RequestTimeoutError } from '../../src/errors.js';
+
+describe('Network Requests Handler Tests', () => {
+    const path = ['node', 'pipeline', null, null];
+    let state;
+
+    const register = () => {
+        const callbacks = { resolve: jest.fn(), reject: jest.fn() };
+        const request = state.registerMessage(
+            { ACTION: NODE_COMMAND_UPDATE_CONFIG },
+            [path],
+            callbacks.resolve,
+            callbacks.reject,
+        );
+
+        return { request, ...callbacks };
+    };
+
+    const notify = (sessionId = undefined, target = path, failed = false) => {
+        state.onRequestResponseNotification({
+            data: { NOTIFICATION: failed ? 'Pipeline failed.' : 'Pipeline updated.', SESSION_ID: sessionId },
+            context: {
+                metadata: {
+                    EE_PAYLOAD_PATH: target,
+                    SESSION_ID: sessionId,
+                    NOTIFICATION_CODE: failed ? PIPELINE_FAILED : PIPELINE_OK,
+                    NOTIFICATION_TYPE: failed ? NOTIFICATION_TYPE_EXCEPTION : NOTIFICATION_TYPE_NORMAL,
+                },
+            },
+        });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        state = new StateManager({ log: jest.fn(), warn: jest.fn(), error: jest.fn() });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('concurrent requests on the same path are correlated by SESSION_ID', () => {
+        const first = register();
+        const second = register();
+
+        notify(second.request.getId());
+
+        expect(second.resolve).toHaveBeenCalledTimes(1);
+        expect(first.resolve).not.toHaveBeenCalled();
+        expect(state.networkRequestsHandler.find(path)).toBe(first.request);
+
+        notify(first.request.getId());
+
+        expect(first.resolve).toHaveBeenCalledTimes(1);
+        expect(state.networkRequestsHandler.find(path)).toBeNull();
+    });
+
+    test('notifications without a SESSION_ID are matched in FIFO order', () => {
+        const first = register();
+        const second = register();
+
+        notify();
+        expect(first.resolve).toHaveBeenCalledTimes(1);
+        expect(second.resolve).not.toHaveBeenCalled();
+
+        notify();
+        expect(second.resolve).toHaveBeenCalledTimes(1);
+    });
+
+    test('notifications for another session never settle our requests', () => {
+        const request = register();
+
+        notify('another-initiator-session');
+
+        expect(request.resolve).not.toHaveBeenCalled();
+        expect(request.reject).not.toHaveBeenCalled();
+        expect(state.networkRequestsHandler.find(path)).toBe(request.request);
+    });
+
+    test('timing out a request keeps the other requests on the same path', () => {
+        const first = register();
+        jest.advanceTimersByTime(1000);
+        const second = register();
+
+        jest.advanceTimersByTime(14000);
+
+        expect(first.reject).toHaveBeenCalledTimes(1);
+        expect(state.networkRequestsHandler.find(path)).toBe(second.request);
+
+        notify();
+        expect(second.resolve).toHaveBeenCalledTimes(1);
+    });
+
+    test('progress is reported for each watched target', () => {
+        const other = ['node', 'other', null, null];
+        const resolve = jest.fn();
+        const onProgress = jest.fn();
+        const request = state.registerMessage({ ACTION: NODE_COMMAND_UPDATE_CONFIG }, [path, other], resolve, jest.fn());
+        const complete = jest.fn();
+        request.getProgress().subscribe({ next: onProgress, complete });
+
+        notify(request.getId());
+
+        expect(onProgress).toHaveBeenCalledTimes(1);
+        expect(onProgress.mock.calls[0][0]).toEqual(
+            expect.objectContaining({
+                requestId: request.getId(),
+                path,
+                status: true,
+                reason: 'Pipeline updated.',
+                answered: 1,
+                total: 2,
+            }),
+        );
+        expect(resolve).not.toHaveBeenCalled();
+        expect(complete).not.toHaveBeenCalled();
+
+        notify(request.getId(), other);
+
+        expect(onProgress).toHaveBeenCalledTimes(2);
+        expect(onProgress.mock.calls[1][0]).toEqual(expect.objectContaining({ path: other, answered: 2, total: 2 }));
+        expect(resolve).toHaveBeenCalledTimes(1);
+        expect(complete).toHaveBeenCalledTimes(1);
+    });
+
+    describe('rejections', () => {
+        const other = ['node', 'other', null, null];
+
+        const registerBoth = () => {
+            const reject = jest.fn();
+            const request = state.registerMessage(
+                { ACTION: NODE_COMMAND_UPDATE_CONFIG },
+                [path, other],
+                jest.fn(),
+                reject,
+            );
+
+            return { request, reject };
+        };
+
+        test('requests failed on all targets are rejected with a NodeRejectedError', () => {
+            const { request, reject } = registerBoth();
+
+            notify(request.getId(), path, true);
+            notify(request.getId(), other, true);
+
+            const error = reject.mock.calls[0][0];
+            expect(error).toBeInstanceOf(NodeRejectedError);
+            expect(error).not.toBeInstanceOf(PartialFailureError);
+            expect(error.successes).toEqual([]);
+            expect(error.failures.map((target) => target.path)).toEqual([path, other]);
+            expect(error.failures[0]).toEqual(
+                expect.objectContaining({
+                    code: PIPELINE_FAILED,
+                    type: NOTIFICATION_TYPE_EXCEPTION,
+                    notification: 'Pipeline failed.',
+                }),
+            );
+            expect(error.notifications).toHaveLength(2);
+            expect(error.message).toContain(`node:pipeline:: (${PIPELINE_FAILED}: Pipeline failed.)`);
+        });
+
+        test('requests failed on some of the targets are rejected with a PartialFailureError', () => {
+            const { request, reject } = registerBoth();
+
+            notify(request.getId(), path);
+            notify(request.getId(), other, true);
+
+            const error = reject.mock.calls[0][0];
+            expect(error).toBeInstanceOf(PartialFailureError);
+            expect(error).toBeInstanceOf(NodeRejectedError);
+            expect(error.successes.map((target) => target.path)).toEqual([path]);
+            expect(error.failures.map((target) => target.path)).toEqual([other]);
+            expect(error.message).toContain('1 of 2 targets');
+        });
+
+        test('timeouts report the targets answered before expiring', () => {
+            const { request, reject } = registerBoth();
+
+            notify(request.getId(), path);
+            jest.advanceTimersByTime(90000);
+
+            const error = reject.mock.calls[0][0];
+            expect(error).toBeInstanceOf(RequestTimeoutError);
+            expect(error.pendingPaths).toEqual([other]);
+            expect(error.successes.map((target) => target.path)).toEqual([path]);
+        });
+    });
+
+    describe('node level requests', () => {
+        const nodePath = ['node', null, null, null];
+
+        const heartbeat = (uptime, raw = {}) => {
+            state.nodeInfoUpdate({
+                EE_PAYLOAD_PATH: nodePath,
+                DATA: { raw, node: { EE_HB_TIME: 10, UPTIME: uptime }, pipelines: {} },
+            });
+        };
+
+        const registerNodeCommand = (action, sent = true) => {
+            const callbacks = { resolve: jest.fn(), reject: jest.fn() };
+            const request = state.registerMessage({ ACTION: action }, [nodePath], callbacks.resolve, callbacks.reject);
+            if (sent) {
+                request.markAsSent();
+            }
+
+            return { request, ...callbacks };
+        };
+
+        beforeEach(() => {
+            heartbeat(100);
+        });
+
+        afterEach(() => {
+            state.getNodeStatusTracker().stop();
+        });
+
+        test('restart resolves with the first heartbeat received after the node went offline', () => {
+            const restart = registerNodeCommand(NODE_COMMAND_RESTART);
+
+            heartbeat(110);
+            expect(restart.resolve).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(30000);
+            expect(restart.resolve).not.toHaveBeenCalled();
+            expect(restart.reject).not.toHaveBeenCalled();
+
+            heartbeat(2);
+            expect(restart.resolve).toHaveBeenCalledTimes(1);
+            expect(restart.resolve.mock.calls[0][0].node.UPTIME).toEqual(2);
+            expect(state.networkRequestsHandler.find(nodePath)).toBeNull();
+        });
+
+        test('restart resolves when the uptime is reset before the node is seen offline', () => {
+            const restart = registerNodeCommand(NODE_COMMAND_RESTART);
+
+            heartbeat(1);
+
+            expect(restart.resolve).toHaveBeenCalledTimes(1);
+        });
+
+        test('node events received before sending the request are ignored', () => {
+            const restart = registerNodeCommand(NODE_COMMAND_RESTART, false);
+
+            heartbeat(1);
+            expect(restart.resolve).not.toHaveBeenCalled();
+
+            restart.request.markAsSent();
+            heartbeat(2);
+            heartbeat(1);
+            expect(restart.resolve).toHaveBeenCalledTimes(1);
+        });
+
+        test('full heartbeat requests ignore the routine heartbeats', () => {
+            const request = registerNodeCommand(NODE_COMMAND_FULL_HEARTBEAT);
+
+            heartbeat(110);
+            expect(request.resolve).not.toHaveBeenCalled();
+
+            heartbeat(120, { DEVICE_LOG: [], ERROR_LOG: [] });
+            expect(request.resolve).toHaveBeenCalledTimes(1);
+            expect(request.resolve.mock.calls[0][0].node.UPTIME).toEqual(120);
+        });
+
+        test('stop resolves when the heartbeats cease', () => {
+            const stop = registerNodeCommand(NODE_COMMAND_STOP);
+
+            jest.advanceTimersByTime(20000);
+            heartbeat(120);
+            jest.advanceTimersByTime(20000);
+            expect(stop.resolve).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(10000);
+            expect(stop.resolve).toHaveBeenCalledTimes(1);
+            expect(stop.reject).not.toHaveBeenCalled();
+        });
+    });
+});
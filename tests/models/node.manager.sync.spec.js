@@ -0,0 +1,198 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { NodeManager } from '../../src/models/node.manager.js';
+import { StateManager } from '../../src/models/state.manager.js';
+import { defaultSchemas } from '../../src/utils/schema.providers.js';
+import { DCT_TYPE_VOID_STREAM } from '../../src/utils/dcts/index.js';
+import { ZxAI_NODE_MANAGER_CONFLICT } from '../../src/constants.js';
+
+describe('NodeManager Synchronization Tests', () => {
+    const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    let client;
+    let manager;
+    let conflicts;
+
+    const makePipeline = (name, instances = {}, initiator = 'someone-else') => ({
+        config: { INITIATOR_ID: initiator, NAME: name, TYPE: DCT_TYPE_VOID_STREAM },
+        stats: {},
+        plugins: {
+            SIGNATURE: Object.keys(instances).reduce((collection, id) => {
+                collection[id] = { config: { INSTANCE_ID: id, ...instances[id] }, stats: {} };
+
+                return collection;
+            }, {}),
+        },
+    });
+
+    const heartbeat = (pipelines, node = 'node') => {
+        client.state.nodeInfoUpdate({
+            EE_PAYLOAD_PATH: [node, null, null, null],
+            DATA: { pipelines: JSON.parse(JSON.stringify(pipelines)), node: {} },
+        });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        client = {
+            state: new StateManager(logger),
+            schemas: defaultSchemas(),
+            bootOptions: { initiator: 'tests' },
+        };
+
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 1 } }) });
+
+        conflicts = [];
+        manager = NodeManager.getNodeManager(client, 'node', logger);
+        manager.on(ZxAI_NODE_MANAGER_CONFLICT, (conflict) => conflicts.push(conflict));
+        manager.getPipelines();
+    });
+
+    afterEach(() => {
+        client.state.getNodeStatusTracker().stop();
+        jest.useRealTimers();
+    });
+
+    test('pipelines created and archived by other initiators are reflected', () => {
+        heartbeat({
+            first: makePipeline('first', { one: { VALUE: 1 } }),
+            second: makePipeline('second'),
+        });
+
+        expect(manager.getPipelines().map((pipeline) => pipeline.id)).toEqual(['first', 'second']);
+
+        heartbeat({ second: makePipeline('second') });
+
+        expect(manager.getPipelines().map((pipeline) => pipeline.id)).toEqual(['second']);
+        expect(conflicts).toEqual([]);
+    });
+
+    test('models without local changes are updated in place', () => {
+        const pipeline = manager.getPipeline('first');
+        const instance = manager.getPluginInstance('first', 'one');
+
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 2 }, two: { VALUE: 3 } }) });
+
+        expect(manager.getPipeline('first')).toBe(pipeline);
+        expect(manager.getPluginInstance('first', 'one')).toBe(instance);
+        expect(instance.config.VALUE).toEqual(2);
+        expect(manager.getPluginInstance('first', 'two').config.VALUE).toEqual(3);
+        expect(pipeline.isDirty).toBe(false);
+    });
+
+    test('uncommitted instance changes are preserved and remote changes reported as conflicts', () => {
+        const instance = manager.getPluginInstance('first', 'one');
+        manager.updateInstance(instance, { VALUE: 10 });
+
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 1 } }) });
+        expect(conflicts).toEqual([]);
+
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 5 } }) });
+
+        expect(instance.config.VALUE).toEqual(10);
+        expect(instance.isDirty).toBe(true);
+        expect(conflicts).toEqual([
+            { node: 'node', pipeline: 'first', instance: 'one', remote: { INSTANCE_ID: 'one', VALUE: 5 } },
+        ]);
+    });
+
+    test('uncommitted DCT changes are preserved', () => {
+        const dct = manager.getPipeline('first').getDataCaptureThread();
+        dct.updateConfig({ _CUSTOM_METADATA: { local: true } });
+
+        const remote = makePipeline('first', { one: { VALUE: 1 } });
+        remote.config._CUSTOM_METADATA = { remote: true };
+        heartbeat({ first: remote });
+
+        expect(dct.config._CUSTOM_METADATA).toEqual({ local: true });
+        expect(conflicts.map((conflict) => [conflict.pipeline, conflict.instance])).toEqual([['first', null]]);
+    });
+
+    test('pipelines created locally are kept until deployed', () => {
+        const pipeline = manager.createPipeline({ type: DCT_TYPE_VOID_STREAM, config: {} }, 'local');
+
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 1 } }) });
+
+        expect(manager.getPipeline('local')).toBe(pipeline);
+        expect(conflicts).toEqual([]);
+    });
+
+    test('pipelines archived remotely while having local changes are kept and reported', () => {
+        const instance = manager.getPluginInstance('first', 'one');
+        manager.updateInstance(instance, { VALUE: 10 });
+
+        heartbeat({});
+
+        expect(manager.getPipeline('first')).not.toBeNull();
+        expect(conflicts).toEqual([{ node: 'node', pipeline: 'first', instance: null, remote: null }]);
+    });
+
+    test('remote changes are applied again after committing the local ones', async () => {
+        client.publish = jest.fn(() => Promise.resolve({}));
+        const instance = manager.getPluginInstance('first', 'one');
+        manager.updateInstance(instance, { VALUE: 10 });
+
+        await manager.commit();
+        heartbeat({ first: makePipeline('first', { one: { VALUE: 7 } }) });
+
+        expect(client.publish).toHaveBeenCalledTimes(1);
+        expect(instance.isDirty).toBe(false);
+        expect(instance.config.VALUE).toEqual(7);
+        expect(conflicts).toEqual([]);
+    });
+
+    test('commit() forwards the abort signal to the published requests', async () => {
+        client.publish = jest.fn(() => Promise.resolve({}));
+        const controller = new AbortController();
+        manager.updateInstance(manager.getPluginInstance('first', 'one'), { VALUE: 10 });
+
+        await manager.commit({ signal: controller.signal });
+
+        expect(client.publish.mock.calls[0][3]).toEqual({ signal: controller.signal });
+    });
+
+    test('plan() lists the instance updates without publishing them', async () => {
+        client.publish = jest.fn(() => Promise.resolve({}));
+        const instance = manager.getPluginInstance('first', 'one');
+        manager.updateInstance(instance, { VALUE: 10 });
+
+        const plan = await manager.plan();
+
+        expect(plan).toHaveLength(1);
+        expect(plan[0]).toEqual({
+            action: 'UPDATE_PIPELINE_INSTANCE',
+            payload: expect.objectContaining({
+                NAME: 'first',
+                SIGNATURE: 'SIGNATURE',
+                INSTANCE_ID: 'one',
+                INSTANCE_CONFIG: expect.objectContaining({ VALUE: 10 }),
+            }),
+            watches: [['node', 'first', 'SIGNATURE', 'one']],
+            diff: expect.arrayContaining(['~ first/SIGNATURE/one.VALUE: 1 -> 10']),
+        });
+        expect(client.publish).not.toHaveBeenCalled();
+        expect(instance.isDirty).toBe(true);
+    });
+
+    test('plan() orders the new pipelines before the archived ones and describes them', async () => {
+        manager.createPipeline({ type: DCT_TYPE_VOID_STREAM, config: {} }, 'local');
+        await manager.closePipeline('first');
+
+        const plan = await manager.plan();
+
+        expect(plan.map((step) => [step.action, step.watches])).toEqual([
+            ['UPDATE_CONFIG', [['node', 'local', null, null]]],
+            ['ARCHIVE_CONFIG', [['node', 'first', null, null]]],
+        ]);
+        expect(plan[0].payload.NAME).toEqual('local');
+        expect(plan[0].diff).toEqual(
+            expect.arrayContaining(['+ pipeline local', `+ local.TYPE: "${DCT_TYPE_VOID_STREAM}"`]),
+        );
+        expect(plan[1].diff).toEqual(['- pipeline first']);
+    });
+
+    test('heartbeats from other nodes are ignored', () => {
+        heartbeat({ other: makePipeline('other') }, 'other-node');
+
+        expect(manager.getPipelines().map((pipeline) => pipeline.id)).toEqual(['first']);
+    });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { NodeStatusTracker } from '../../src/models/node.status.tracker.js';
+import {
+    ZxAI_ENGINE_OFFLINE,
+    ZxAI_ENGINE_ONLINE,
+    ZxAI_ENGINE_REGISTERED,
+    ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+} from '../../src/constants.js';
+
+describe('Node Status Tracker Tests', () => {
+    const node = 'test-node';
+    let tracker;
+    let events;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        tracker = new NodeStatusTracker(3);
+        events = [];
+        [
+            ZxAI_ENGINE_REGISTERED,
+            ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+            ZxAI_ENGINE_ONLINE,
+            ZxAI_ENGINE_OFFLINE,
+        ].forEach((event) => {
+            tracker.on(event, (status) => events.push([event, status.node]));
+        });
+    });
+
+    afterEach(() => {
+        tracker.stop();
+        jest.useRealTimers();
+    });
+
+    test('first heartbeat registers the node and marks it online', () => {
+        tracker.heartbeat(node, 5);
+
+        expect(tracker.isOnline(node)).toBe(true);
+        expect(events).toEqual([
+            [ZxAI_ENGINE_REGISTERED, node],
+            [ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE, node],
+            [ZxAI_ENGINE_ONLINE, node],
+        ]);
+    });
+
+    test('subsequent heartbeats do not trigger transitions', () => {
+        tracker.heartbeat(node, 5);
+        tracker.heartbeat(node, 5);
+
+        expect(events.filter(([event]) => event === ZxAI_ENGINE_ONLINE)).toHaveLength(1);
+        expect(events.filter(([event]) => event === ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE)).toHaveLength(2);
+    });
+
+    test('node goes offline after missing the tolerated heartbeats', () => {
+        tracker.heartbeat(node, 5);
+
+        jest.advanceTimersByTime(14999);
+        expect(tracker.isOnline(node)).toBe(true);
+
+        jest.advanceTimersByTime(1);
+        expect(tracker.isOnline(node)).toBe(false);
+        expect(events.pop()).toEqual([ZxAI_ENGINE_OFFLINE, node]);
+    });
+
+    test('heartbeats postpone the offline detection', () => {
+        tracker.heartbeat(node, 5);
+        jest.advanceTimersByTime(10000);
+        tracker.heartbeat(node, 5);
+        jest.advanceTimersByTime(10000);
+
+        expect(tracker.isOnline(node)).toBe(true);
+    });
+
+    test('node comes back online after a new heartbeat', () => {
+        tracker.heartbeat(node, 5);
+        jest.advanceTimersByTime(15000);
+        tracker.heartbeat(node, 5);
+
+        expect(tracker.isOnline(node)).toBe(true);
+        expect(events.filter(([event]) => event === ZxAI_ENGINE_ONLINE)).toHaveLength(2);
+        expect(events.filter(([event]) => event === ZxAI_ENGINE_REGISTERED)).toHaveLength(1);
+    });
+
+    test('getStatus() returns the status map', () => {
+        tracker.heartbeat(node, 5, 1000);
+
+        expect(tracker.getStatus()).toEqual({
+            [node]: {
+                online: true,
+                lastSeen: 1000,
+                heartbeatInterval: 5000,
+            },
+        });
+        expect(tracker.isOnline('unknown')).toBe(false);
+    });
+});
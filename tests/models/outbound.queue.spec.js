@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { OutboundQueue } from '../../src/models/outbound.queue.js';
+import { ZxAI_OUTBOUND_QUEUE_UPDATED } from '../../src/constants.js';
+
+describe('Outbound Queue Tests', () => {
+    let queue;
+    let updates;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        queue = new OutboundQueue(1000);
+        updates = [];
+        queue.on(ZxAI_OUTBOUND_QUEUE_UPDATED, (status) => updates.push(status.pending));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('flush() sends the queued messages in order', () => {
+        const sent = [];
+        queue.enqueue({ topic: 'lummetry/gigi/config', node: 'gigi', action: 'RESTART' }, () => sent.push('RESTART'), jest.fn());
+        queue.enqueue({ topic: 'lummetry/gigi/config', node: 'gigi', action: 'STOP' }, () => sent.push('STOP'), jest.fn());
+
+        expect(queue.getEntries().map((entry) => entry.action)).toEqual(['RESTART', 'STOP']);
+        expect(queue.flush()).toEqual(2);
+        expect(sent).toEqual(['RESTART', 'STOP']);
+        expect(queue.size()).toEqual(0);
+        expect(updates).toEqual([1, 2, 0]);
+    });
+
+    test('messages are dropped once their TTL expires', () => {
+        const send = jest.fn();
+        const expire = jest.fn();
+        queue.enqueue({ topic: 'lummetry/gigi/config', node: 'gigi', action: 'RESTART' }, send, expire);
+        queue.enqueue({ topic: 'lummetry/gigi/config', node: 'gigi', action: 'STOP' }, send, expire, 5000);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(expire).toHaveBeenCalledTimes(1);
+        expect(expire.mock.calls[0][0].action).toEqual('RESTART');
+        expect(queue.getEntries().map((entry) => entry.action)).toEqual(['STOP']);
+
+        queue.flush();
+        jest.advanceTimersByTime(5000);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(expire).toHaveBeenCalledTimes(1);
+    });
+
+    test('removed messages are neither sent nor expired', () => {
+        const send = jest.fn();
+        const expire = jest.fn();
+        const id = queue.enqueue({ topic: 'lummetry/gigi/config', node: 'gigi', action: 'RESTART' }, send, expire);
+
+        expect(queue.remove(id)).toBe(true);
+        expect(queue.remove(id)).toBe(false);
+
+        queue.flush();
+        jest.advanceTimersByTime(1000);
+
+        expect(send).not.toHaveBeenCalled();
+        expect(expire).not.toHaveBeenCalled();
+    });
+});
@@ -429,7 +429,7 @@ describe('Plugin Model Tests', () => {
 
         pi.sendCommand(testCommand);
 
-        expect(publishSpy).toHaveBeenCalledWith(pipeline.node, expectedComand);
+        expect(publishSpy).toHaveBeenCalledWith(pipeline.node, expectedComand, [], {});
     });
 
     describe('Plugin Instance updateConfig() Tests', () => {
@@ -0,0 +1,383 @@
+/**
+ * @jest-environment node
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { NaeuralWebClient } from '../../src/web.client.js';
+import { InMemoryBroker, InMemoryTransport } from '../../src/transports/in.memory.transport.js';
+import { EdgeNodeSimulator, SIMULATOR_COMMAND_RECEIVED } from '../../src/simulator/edge.node.simulator.js';
+import {
+    CommitRolledBackError,
+    NodeRejectedError,
+    PartialFailureError,
+    RequestAbortedError,
+    RequestTimeoutError,
+} from '../../src/errors.js';
+import { DCT_TYPE_VOID_STREAM } from '../../src/utils/dcts/index.js';
+import {
+    NODE_COMMAND_ARCHIVE_CONFIG,
+    NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
+    NODE_COMMAND_FULL_HEARTBEAT,
+    NODE_COMMAND_TIMERS_ONLY_HEARTBEAT,
+    NODE_COMMAND_UPDATE_CONFIG,
+    NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+    NOTIFICATION_TYPE_EXCEPTION,
+    PLUGIN_FAILED,
+    PLUGIN_OK,
+    STICKY_COMMAND_ID_KEY,
+    TIMEOUT_PHASE_PAYLOAD,
+    ZxAI_ENGINE_REGISTERED,
+    ZxAI_OUTBOUND_QUEUE_UPDATED,
+    ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE,
+} from '../../src/constants.js';
+
+describe('Edge Node Simulator Tests', () => {
+    const pipeline = {
+        NAME: 'camera',
+        TYPE: 'VideoStream',
+        CAP_RESOLUTION: 20,
+        URL: 'rtsp://camera.local/stream',
+        PLUGINS: [
+            {
+                SIGNATURE: 'CAMERA_TAMPERING',
+                INSTANCES: [{ INSTANCE_ID: 'tampering-1', PROCESS_DELAY: 1 }],
+            },
+        ],
+    };
+
+    let broker;
+    let client;
+    let simulator;
+
+    const nextHeartbeat = () =>
+        new Promise((resolve) => client.once(ZxAI_RECEIVED_HEARTBEAT_FROM_ENGINE, resolve));
+
+    beforeEach(async () => {
+        broker = new InMemoryBroker();
+        client = new NaeuralWebClient({
+            fleet: ['simulated'],
+            transport: InMemoryTransport.factory(broker),
+        });
+        client.logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        client.loadIdentity({});
+        client.connect();
+
+        simulator = new EdgeNodeSimulator(new InMemoryTransport(broker), {
+            name: 'simulated',
+            pipelines: [JSON.parse(JSON.stringify(pipeline))],
+        });
+
+        const registered = new Promise((resolve) => client.once(ZxAI_ENGINE_REGISTERED, resolve));
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        simulator.start();
+        await registered;
+    });
+
+    afterEach(async () => {
+        await simulator.stop();
+        await client.shutdown();
+    });
+
+    test('heartbeats describe the running pipelines', () => {
+        expect(client.state.getNodeAddress('simulated')).toEqual(simulator.getAddress());
+        expect(client.state.getRunningPipelineConfig('simulated', 'camera')).toEqual({
+            NAME: 'camera',
+            TYPE: 'VideoStream',
+            CAP_RESOLUTION: 20,
+            URL: 'rtsp://camera.local/stream',
+        });
+        expect(client.state.getRunningInstanceConfig('simulated', 'camera', 'tampering-1')).toEqual({
+            INSTANCE_ID: 'tampering-1',
+            PROCESS_DELAY: 1,
+        });
+    });
+
+    test('encoded heartbeats are decoded by the client', async () => {
+        simulator.options.encodeHeartbeat = true;
+        const heartbeat = nextHeartbeat();
+
+        await simulator.sendHeartbeat();
+        await heartbeat;
+
+        expect(broker.getPublished('lummetry/ctrl').pop().message).toContain('ENCODED_DATA');
+        expect(client.state.getRunningPipelineConfig('simulated', 'camera').TYPE).toEqual('VideoStream');
+    });
+
+    test('encrypted UPDATE_CONFIG commands are applied and acknowledged', async () => {
+        const received = jest.fn();
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, received);
+        const heartbeat = nextHeartbeat();
+
+        await client.publish('simulated', {
+            ACTION: NODE_COMMAND_UPDATE_CONFIG,
+            PAYLOAD: { NAME: 'stream', TYPE: 'VideoFile', PLUGINS: [] },
+        });
+        await heartbeat;
+
+        expect(JSON.parse(broker.getPublished('lummetry/simulated/config')[0].message).EE_IS_ENCRYPTED).toBe(true);
+        expect(received.mock.calls[0][0].ACTION).toEqual(NODE_COMMAND_UPDATE_CONFIG);
+        expect(simulator.getPipeline('stream')).toEqual({ NAME: 'stream', TYPE: 'VideoFile', PLUGINS: [] });
+        expect(client.state.getRunningPipelineConfig('simulated', 'stream')).toEqual({
+            NAME: 'stream',
+            TYPE: 'VideoFile',
+        });
+    });
+
+    test('UPDATE_PIPELINE_INSTANCE commands merge the instance config', async () => {
+        const notifications = await client.publish('simulated', {
+            ACTION: NODE_COMMAND_UPDATE_PIPELINE_INSTANCE,
+            PAYLOAD: {
+                NAME: 'camera',
+                SIGNATURE: 'CAMERA_TAMPERING',
+                INSTANCE_ID: 'tampering-1',
+                INSTANCE_CONFIG: { PROCESS_DELAY: 5 },
+            },
+        });
+
+        expect(notifications[0].NOTIFICATION_CODE).toEqual(PLUGIN_OK);
+        expect(simulator.getPipeline('camera').PLUGINS[0].INSTANCES[0]).toEqual({
+            INSTANCE_ID: 'tampering-1',
+            PROCESS_DELAY: 5,
+        });
+    });
+
+    test('ARCHIVE_CONFIG commands remove the pipeline', async () => {
+        await client.publish('simulated', {
+            ACTION: NODE_COMMAND_ARCHIVE_CONFIG,
+            PAYLOAD: 'camera',
+        });
+
+        expect(simulator.getPipeline('camera')).toBeNull();
+    });
+
+    test('heartbeat requests resolve with the heartbeat sent in response', async () => {
+        const heartbeat = await client.publish('simulated', { ACTION: NODE_COMMAND_TIMERS_ONLY_HEARTBEAT });
+
+        expect(heartbeat.node.EE_ADDR).toEqual(simulator.getAddress());
+        expect(heartbeat.pipelines.camera.config.TYPE).toEqual('VideoStream');
+    });
+
+    test('full heartbeat requests resolve with the full heartbeat sent in response', async () => {
+        const heartbeat = await client.publish('simulated', { ACTION: NODE_COMMAND_FULL_HEARTBEAT });
+
+        expect(heartbeat.raw.DEVICE_LOG).toEqual([]);
+        expect(heartbeat.node.EE_ADDR).toEqual(simulator.getAddress());
+    });
+
+    test('instance commands awaiting a payload resolve with the payload stamped with the command id', async () => {
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, (message) => {
+            const command = message.PAYLOAD.INSTANCE_CONFIG.INSTANCE_COMMAND;
+            simulator.sendPayload('camera', 'CAMERA_TAMPERING', 'tampering-1', {
+                [STICKY_COMMAND_ID_KEY]: command[STICKY_COMMAND_ID_KEY],
+                RESULT: command.VALUE * 2,
+            });
+        });
+        const instance = (await client.getNodeManager('simulated')).getPluginInstance('camera', 'tampering-1');
+
+        const data = await instance.sendCommand({ VALUE: 21 }, { awaitPayload: true });
+
+        expect(data.RESULT).toEqual(42);
+        expect(client.state.stickyCommands).toEqual({});
+    });
+
+    test('instance commands awaiting a payload time out when no payload answers them', async () => {
+        const instance = (await client.getNodeManager('simulated')).getPluginInstance('camera', 'tampering-1');
+
+        const error = await instance
+            .sendCommand({ VALUE: 21 }, { awaitPayload: true, timeouts: { payload: 50 } })
+            .catch((error) => error);
+
+        expect(error).toBeInstanceOf(RequestTimeoutError);
+        expect(error.phase).toEqual(TIMEOUT_PHASE_PAYLOAD);
+        expect(error.pendingPaths).toEqual([['simulated', 'camera', 'CAMERA_TAMPERING', 'tampering-1']]);
+    });
+
+    test('instance commands awaiting a payload ignore payloads of other instances carrying their command id', async () => {
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, async (message) => {
+            const command = message.PAYLOAD.INSTANCE_CONFIG.INSTANCE_COMMAND;
+            await simulator.sendPayload('camera', 'CAMERA_TAMPERING', 'tampering-2', {
+                [STICKY_COMMAND_ID_KEY]: command[STICKY_COMMAND_ID_KEY],
+                RESULT: 0,
+            });
+            await simulator.sendPayload('camera', 'CAMERA_TAMPERING', 'tampering-1', {
+                [STICKY_COMMAND_ID_KEY]: command[STICKY_COMMAND_ID_KEY],
+                RESULT: command.VALUE * 2,
+            });
+        });
+        const instance = (await client.getNodeManager('simulated')).getPluginInstance('camera', 'tampering-1');
+
+        const data = await instance.sendCommand({ VALUE: 21 }, { awaitPayload: true });
+
+        expect(data.RESULT).toEqual(42);
+    });
+
+    test('instance commands awaiting a payload resolve when the node answers only with the payload', async () => {
+        simulator.injectFailure({ action: NODE_COMMAND_UPDATE_PIPELINE_INSTANCE, silent: true });
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, (message) => {
+            const command = message.PAYLOAD.INSTANCE_CONFIG.INSTANCE_COMMAND;
+            simulator.sendPayload('camera', 'CAMERA_TAMPERING', 'tampering-1', {
+                [STICKY_COMMAND_ID_KEY]: command[STICKY_COMMAND_ID_KEY],
+                RESULT: command.VALUE * 2,
+            });
+        });
+        const instance = (await client.getNodeManager('simulated')).getPluginInstance('camera', 'tampering-1');
+
+        const data = await instance.sendCommand({ VALUE: 21 }, { awaitPayload: true, timeouts: { notification: 50 } });
+
+        expect(data.RESULT).toEqual(42);
+        expect(client.state.stickyCommands).toEqual({});
+    });
+
+    test('instance commands awaiting a payload start their payload timeout once the command is sent', async () => {
+        client.bootOptions.reconnect.enabled = false;
+        client.connections.outbound.drop();
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, (message) => {
+            const command = message.PAYLOAD.INSTANCE_CONFIG.INSTANCE_COMMAND;
+            simulator.sendPayload('camera', 'CAMERA_TAMPERING', 'tampering-1', {
+                [STICKY_COMMAND_ID_KEY]: command[STICKY_COMMAND_ID_KEY],
+                RESULT: command.VALUE * 2,
+            });
+        });
+        const instance = (await client.getNodeManager('simulated')).getPluginInstance('camera', 'tampering-1');
+
+        const queued = new Promise((resolve) => client.once(ZxAI_OUTBOUND_QUEUE_UPDATED, resolve));
+        const request = instance.sendCommand({ VALUE: 21 }, { awaitPayload: true, timeouts: { payload: 3000 } });
+        await queued;
+        await new Promise((resolve) => setTimeout(resolve, 4000));
+        client.connections.outbound.reconnect();
+
+        expect((await request).RESULT).toEqual(42);
+    }, 15000);
+
+    test('injected failures are reported with the failed notification codes', async () => {
+        simulator.injectFailure({ action: NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE, instance: 'tampering-2' });
+
+        const request = client.publish('simulated', {
+            ACTION: NODE_COMMAND_BATCH_UPDATE_PIPELINE_INSTANCE,
+            PAYLOAD: [
+                {
+                    NAME: 'camera',
+                    SIGNATURE: 'CAMERA_TAMPERING',
+                    INSTANCE_ID: 'tampering-1',
+                    INSTANCE_CONFIG: { PROCESS_DELAY: 2 },
+                },
+                {
+                    NAME: 'camera',
+                    SIGNATURE: 'CAMERA_TAMPERING',
+                    INSTANCE_ID: 'tampering-2',
+                    INSTANCE_CONFIG: { PROCESS_DELAY: 2 },
+                },
+            ],
+        });
+
+        const error = await request.catch((failure) => failure);
+        expect(error).toBeInstanceOf(PartialFailureError);
+        expect(error.notifications.map((notification) => notification.NOTIFICATION_CODE)).toEqual([
+            PLUGIN_OK,
+            PLUGIN_FAILED,
+        ]);
+        expect(error.successes.map((target) => target.path)).toEqual([
+            ['simulated', 'camera', 'CAMERA_TAMPERING', 'tampering-1'],
+        ]);
+        expect(error.failures).toEqual([
+            expect.objectContaining({
+                path: ['simulated', 'camera', 'CAMERA_TAMPERING', 'tampering-2'],
+                code: PLUGIN_FAILED,
+                type: NOTIFICATION_TYPE_EXCEPTION,
+            }),
+        ]);
+        expect(simulator.getPipeline('camera').PLUGINS[0].INSTANCES.map((instance) => instance.INSTANCE_ID)).toEqual([
+            'tampering-1',
+        ]);
+    });
+
+    test('commit progress events name the command they answer', async () => {
+        const manager = await client.getNodeManager('simulated');
+        manager.getPipeline('camera').getDataCaptureThread().updateConfig({ CAP_RESOLUTION: 5 });
+        manager.createPipeline({ type: DCT_TYPE_VOID_STREAM, config: {} }, 'stream');
+        const progress = [];
+
+        await manager.commit({ onProgress: (event) => progress.push(event) });
+
+        expect(progress.length).toBeGreaterThan(0);
+        expect(new Set(progress.map((event) => event.requestId)).size).toEqual(2);
+        progress.forEach((event) => {
+            expect(event.action).toEqual(NODE_COMMAND_UPDATE_CONFIG);
+            expect(event.pipelines).toEqual([event.path[1]]);
+        });
+    });
+
+    test('transactional commits roll back the pipelines applied before the failure', async () => {
+        simulator.injectFailure({ action: NODE_COMMAND_UPDATE_CONFIG, pipeline: 'stream' });
+        const manager = await client.getNodeManager('simulated');
+        manager.getPipeline('camera').getDataCaptureThread().updateConfig({ CAP_RESOLUTION: 5 });
+        manager.createPipeline({ type: DCT_TYPE_VOID_STREAM, config: {} }, 'stream');
+
+        const error = await manager.commit({ transactional: true }).catch((failure) => failure);
+
+        expect(error).toBeInstanceOf(CommitRolledBackError);
+        expect(error.errors).toHaveLength(1);
+        expect(error.errors[0]).toBeInstanceOf(NodeRejectedError);
+        expect(error.rollback).toEqual([{ pipeline: 'camera', action: NODE_COMMAND_UPDATE_CONFIG, error: null }]);
+        expect(error.message).toContain('Rolled back: camera.');
+        expect(simulator.getPipeline('camera').CAP_RESOLUTION).toEqual(20);
+        expect(simulator.getPipeline('camera').PLUGINS[0].INSTANCES).toEqual([
+            { INSTANCE_ID: 'tampering-1', PROCESS_DELAY: 1 },
+        ]);
+        expect(simulator.getPipeline('stream')).toBeNull();
+        expect(manager.getPipeline('camera').getDataCaptureThread().isDirty).toBe(true);
+    });
+
+    test('transactional commits roll back the pipelines of the commands that timed out unacknowledged', async () => {
+        client.bootOptions.reconnect.enabled = false;
+        let received = 0;
+        simulator.on(SIMULATOR_COMMAND_RECEIVED, () => {
+            received++;
+            if (received === 1) {
+                // the node applies the commit, but its notifications are lost
+                client.connections.notifications.drop();
+            } else {
+                client.connections.notifications.reconnect();
+            }
+        });
+        const manager = await client.getNodeManager('simulated');
+        manager.getPipeline('camera').getDataCaptureThread().updateConfig({ CAP_RESOLUTION: 5 });
+
+        const error = await manager
+            .commit({ transactional: true, timeouts: { firstResponse: 3000, completion: 3000 } })
+            .catch((failure) => failure);
+
+        expect(error).toBeInstanceOf(CommitRolledBackError);
+        expect(error.errors[0]).toBeInstanceOf(RequestTimeoutError);
+        expect(error.rollback).toEqual([{ pipeline: 'camera', action: NODE_COMMAND_UPDATE_CONFIG, error: null }]);
+        expect(simulator.getPipeline('camera').CAP_RESOLUTION).toEqual(20);
+    }, 15000);
+
+    test('transactional commits roll back the pipelines of the commands aborted after being sent', async () => {
+        const controller = new AbortController();
+        const manager = await client.getNodeManager('simulated');
+        manager.getPipeline('camera').getDataCaptureThread().updateConfig({ CAP_RESOLUTION: 5 });
+
+        const error = await manager
+            .commit({ transactional: true, signal: controller.signal, onSent: () => controller.abort() })
+            .catch((failure) => failure);
+
+        expect(error).toBeInstanceOf(CommitRolledBackError);
+        expect(error.errors[0]).toBeInstanceOf(RequestAbortedError);
+        expect(error.rollback).toEqual([{ pipeline: 'camera', action: NODE_COMMAND_UPDATE_CONFIG, error: null }]);
+        expect(simulator.getPipeline('camera').CAP_RESOLUTION).toEqual(20);
+    });
+
+    test('silent failures leave the command unanswered', async () => {
+        simulator.injectFailure({ pipeline: 'camera', silent: true });
+        const received = new Promise((resolve) => simulator.once(SIMULATOR_COMMAND_RECEIVED, resolve));
+
+        const request = client.publish('simulated', { ACTION: NODE_COMMAND_ARCHIVE_CONFIG, PAYLOAD: 'camera' });
+        request.catch(() => {});
+        await received;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        expect(broker.getPublished('lummetry/notif')).toEqual([]);
+        expect(simulator.getPipeline('camera')).not.toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { InMemoryBroker, InMemoryTransport } from '../../src/transports/in.memory.transport.js';
+
+describe('In-Memory Transport Tests', () => {
+    let broker;
+    let transport;
+
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(async () => {
+        broker = new InMemoryBroker();
+        transport = new InMemoryTransport(broker);
+        transport.connect();
+        await flush();
+    });
+
+    test('connect() emits the connect event asynchronously', async () => {
+        const other = new InMemoryTransport(broker);
+        const listener = jest.fn();
+        other.on('connect', listener);
+
+        other.connect();
+        expect(listener).not.toHaveBeenCalled();
+        expect(other.isConnected()).toBe(false);
+
+        await flush();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(other.isConnected()).toBe(true);
+    });
+
+    test('injected messages are delivered as byte arrays to matching subscriptions', async () => {
+        const listener = jest.fn();
+        transport.on('message', listener);
+        await transport.subscribe('lummetry/ctrl');
+
+        broker.inject('lummetry/ctrl', { EE_ID: 'gigi' });
+        broker.inject('lummetry/notif', { EE_ID: 'gigi' });
+        await flush();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual('lummetry/ctrl');
+        expect(listener.mock.calls[0][1]).toBeInstanceOf(Uint8Array);
+        expect(new TextDecoder().decode(listener.mock.calls[0][1])).toEqual('{"EE_ID":"gigi"}');
+    });
+
+    test('subscriptions support the single and multi-level wildcards', async () => {
+        const listener = jest.fn();
+        transport.on('message', listener);
+        await transport.subscribe('lummetry/+/config');
+        await transport.subscribe('other/#');
+
+        broker.inject('lummetry/gigi/config', 'a');
+        broker.inject('lummetry/gigi/other', 'b');
+        broker.inject('other/x/y', 'c');
+        await flush();
+
+        expect(listener.mock.calls.map((call) => call[0])).toEqual(['lummetry/gigi/config', 'other/x/y']);
+    });
+
+    test('published messages are captured by the broker', async () => {
+        await transport.publish('lummetry/gigi/config', '{"ACTION":"RESTART"}');
+
+        expect(broker.getPublished('lummetry/+/config')).toEqual([
+            expect.objectContaining({ topic: 'lummetry/gigi/config', message: '{"ACTION":"RESTART"}' }),
+        ]);
+        expect(broker.getPublished('lummetry/ctrl')).toEqual([]);
+
+        broker.clearPublished();
+        expect(broker.getPublished()).toEqual([]);
+    });
+
+    test('dropped transports do not receive or publish messages until reconnected', async () => {
+        const closed = jest.fn();
+        const listener = jest.fn();
+        transport.on('close', closed);
+        transport.on('message', listener);
+        await transport.subscribe('lummetry/ctrl');
+
+        transport.drop();
+        expect(closed).toHaveBeenCalledTimes(1);
+        await expect(transport.publish('lummetry/gigi/config', 'x')).rejects.toThrow('not connected');
+
+        broker.inject('lummetry/ctrl', 'lost');
+        await flush();
+        expect(listener).not.toHaveBeenCalled();
+
+        transport.reconnect();
+        await flush();
+        broker.inject('lummetry/ctrl', 'received');
+        await flush();
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('end() removes the subscriptions', async () => {
+        await transport.subscribe('lummetry/ctrl');
+        await transport.end();
+
+        transport.connect();
+        await flush();
+
+        const listener = jest.fn();
+        transport.on('message', listener);
+        broker.inject('lummetry/ctrl', 'ignored');
+        await flush();
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
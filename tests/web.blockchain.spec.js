@@ -2,8 +2,11 @@
  * @jest-environment node
  */
 
-import { beforeAll, describe, expect, test } from '@jest/globals';
+import { beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { Buffer } from 'buffer';
 import NaeuralBC from '../src/web.blockchain.js';
+import { IDENTITY_DERIVATION_BIP39_V1, IDENTITY_DERIVATION_LEGACY } from '../src/constants.js';
+import { words } from '../src/utils/words.js';
 
 describe('NaeuralEdgeProtocol Blockchain Tests', () => {
     let mockNaeuralEdgeProtocolBCEngine;
@@ -52,6 +55,25 @@ YbNENWKFGADQh0NK+Te+wP+hRANCAAR77XFSL/8i+5PeOSLoTYy1Fyo9gz722qaB
         expect(await mockNaeuralEdgeProtocolBCEngine.verify(result)).toBe(true);
     });
 
+    test('signatures use deterministic nonces', async () => {
+        const signatureR = (signed) => {
+            const der = Buffer.from(JSON.parse(signed)['EE_SIGN'], 'base64url');
+
+            return der.subarray(4, 4 + der[3]).toString('hex');
+        };
+        const messages = Array.from({ length: 5 }, (_, index) => ({ COMMAND: 'UPDATE_CONFIG', PAYLOAD: { INDEX: index } }));
+
+        const signed = await Promise.all(messages.map((message) => mockNaeuralEdgeProtocolBCEngine.sign(message)));
+
+        expect(new Set(signed.map(signatureR)).size).toEqual(messages.length);
+        for (const message of signed) {
+            expect(await mockNaeuralEdgeProtocolBCEngine.verify(message)).toBe(true);
+        }
+
+        const again = await mockNaeuralEdgeProtocolBCEngine.sign(messages[0]);
+        expect(JSON.parse(again)['EE_SIGN']).toEqual(JSON.parse(signed[0])['EE_SIGN']);
+    });
+
     test('verify with good signature, 0xai_ address prefix', async () => {
         const receivedMessage = `{
             "SERVER": "gigi",
@@ -86,18 +108,209 @@ YbNENWKFGADQh0NK+Te+wP+hRANCAAR77XFSL/8i+5PeOSLoTYy1Fyo9gz722qaB
         expect(await mockNaeuralEdgeProtocolBCEngine.verify(receivedMessage)).toBe(false);
     });
 
-    xtest('encrypt', async () => {
-        const data = '{"value": "Hello World"}';
-        const destinationAddress = '0xai_A3vtcVIv_yL7k945IuhNjLUXKj2DPvbapoH4D6ZairfT';
+    test('checkSignature reports the reason for a bad hash', async () => {
+        const receivedMessage =
+            '{"SERVER": "gigi", "COMMAND": "get", "PARAMS": "1", "EE_SENDER": "0xai_AsteqC-MZKBK6JCkSxfM-kU46AV0MP6MxiB4K1XAcjzo", "EE_SIGN": "MEUCIH9Pm3KyxXSPgsAQ_VmvBP09k69FGJ0U9Ikd1_MgQiasAiEAx_nENZRt2DcPNLj_ReWSFczXIWyYuR9-St3eENVh6TA=", "EE_HASH": "5b5fc7b39c2cd4db70728fae3a665e7a370ceb9ef6a29f511aeb03daf50156fb"}';
 
-        const encryptedData = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, destinationAddress);
-        // const decryptedData = mockNaeuralEdgeProtocolBCEngine.decrypt(encryptedData, destinationAddress);
-        //
-        // expect(decryptedData).toEqual(data);
+        expect(await mockNaeuralEdgeProtocolBCEngine.checkSignature(receivedMessage)).toEqual({
+            valid: false,
+            reason: 'Computed hash does not match EE_HASH.',
+        });
+    });
 
-        console.log(encryptedData);
+    test('checkSignature reports missing signature fields', async () => {
+        const result = await mockNaeuralEdgeProtocolBCEngine.checkSignature('{"SERVER": "gigi"}');
 
-        expect(true).toEqual(true);
+        expect(result.valid).toBe(false);
+        expect(result.reason).toEqual('Message is missing one of EE_SIGN, EE_SENDER, EE_HASH.');
     });
 
+    test('checkSignature reports malformed messages', async () => {
+        const result = await mockNaeuralEdgeProtocolBCEngine.checkSignature('{"SERVER": ');
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toEqual('Message is not a valid JSON.');
+    });
+
+    describe('Encryption Tests', () => {
+        let receiverEngine;
+
+        /**
+         * Local counterpart of `NaeuralBC.encrypt()`, decrypts the payload using the receiver's identity.
+         */
+        const decrypt = async (engine, encryptedData, senderAddress) => {
+            const combined = Buffer.from(encryptedData, 'base64');
+            const senderKey = NaeuralBC.addressToECPublicKey(senderAddress);
+            const sharedKey = await engine._deriveSharedKey(senderKey.getPublic());
+            const decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: combined.subarray(0, 12) },
+                sharedKey,
+                combined.subarray(12),
+            );
+
+            return new TextDecoder().decode(decrypted);
+        };
+
+        beforeAll(async () => {
+            const receiverIdentity = await NaeuralBC.generateIdentityFromSecretWords(['receiver', 'identity']);
+
+            receiverEngine = new NaeuralBC();
+            receiverEngine.loadIdentity({ key: NaeuralBC.convertECKeyPairToPEM(receiverIdentity) });
+        });
+
+        test('encrypt() round trip', async () => {
+            const data = '{"value": "Hello World"}';
+
+            const encryptedData = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, receiverEngine.getAddress());
+
+            expect(encryptedData).not.toContain('Hello World');
+            expect(await decrypt(receiverEngine, encryptedData, mockNaeuralEdgeProtocolBCEngine.getAddress())).toEqual(
+                data,
+            );
+        });
+
+        test('encrypt() uses a fresh nonce for each message', async () => {
+            const data = '{"value": "Hello World"}';
+
+            const first = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, receiverEngine.getAddress());
+            const second = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, receiverEngine.getAddress());
+
+            expect(first).not.toEqual(second);
+        });
+
+        test('decrypt() reverts encrypt()', async () => {
+            const data = '{"value": "Hello World"}';
+
+            const encryptedData = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, receiverEngine.getAddress());
+
+            expect(await receiverEngine.decrypt(encryptedData, mockNaeuralEdgeProtocolBCEngine.getAddress())).toEqual(
+                data,
+            );
+        });
+
+        test('encrypted data cannot be decrypted by another identity', async () => {
+            const data = '{"value": "Hello World"}';
+
+            const encryptedData = await mockNaeuralEdgeProtocolBCEngine.encrypt(data, receiverEngine.getAddress());
+
+            await expect(
+                decrypt(mockNaeuralEdgeProtocolBCEngine, encryptedData, mockNaeuralEdgeProtocolBCEngine.getAddress()),
+            ).rejects.toThrow();
+        });
+    });
+
+    describe('Keystore Tests', () => {
+        const options = { iterations: 1000 };
+
+        test('keystores restore the exported identity', async () => {
+            const keystore = await mockNaeuralEdgeProtocolBCEngine.exportKeystore('correct horse', options);
+
+            expect(keystore.address).toEqual(mockNaeuralEdgeProtocolBCEngine.getAddress());
+            expect(JSON.stringify(keystore)).not.toContain(mockNaeuralEdgeProtocolBCEngine.keyPair.getPrivate('hex'));
+
+            const restored = new NaeuralBC();
+            const prompt = jest.fn(() => Promise.resolve('correct horse'));
+            await restored.loadKeystore(JSON.stringify(keystore), prompt);
+
+            expect(prompt).toHaveBeenCalledWith(keystore.address);
+            expect(restored.getAddress()).toEqual(mockNaeuralEdgeProtocolBCEngine.getAddress());
+            expect(await restored.verify(await restored.sign({ COMMAND: 'get' }))).toBe(true);
+        });
+
+        test('keystores cannot be opened with a wrong passphrase', async () => {
+            const keystore = await mockNaeuralEdgeProtocolBCEngine.exportKeystore('correct horse', options);
+
+            await expect(new NaeuralBC().loadKeystore(keystore, 'battery staple')).rejects.toThrow(
+                'wrong passphrase',
+            );
+        });
+
+        test('keystores bind the address to the encrypted key', async () => {
+            const keystore = await mockNaeuralEdgeProtocolBCEngine.exportKeystore('correct horse', options);
+            const other = new NaeuralBC();
+            other.loadIdentity({});
+
+            await expect(
+                new NaeuralBC().loadKeystore({ ...keystore, address: other.getAddress() }, 'correct horse'),
+            ).rejects.toThrow('wrong passphrase');
+        });
+    });
+
+    describe('Mnemonic Tests', () => {
+        const vector = [...Array(11).fill('abandon'), 'about'];
+
+        test('entropyToMnemonic() follows the BIP39 test vectors', async () => {
+            expect(await NaeuralBC.entropyToMnemonic(new Uint8Array(16))).toEqual(vector);
+            expect(await NaeuralBC.entropyToMnemonic(new Uint8Array(32).fill(0xff))).toEqual([
+                ...Array(23).fill('zoo'),
+                'vote',
+            ]);
+        });
+
+        test('generateMnemonic() returns valid random mnemonics', async () => {
+            const first = await NaeuralBC.generateMnemonic();
+            const second = await NaeuralBC.generateMnemonic(12);
+
+            expect(first.length).toEqual(24);
+            expect(second.length).toEqual(12);
+            expect((await NaeuralBC.checkMnemonic(first)).valid).toBe(true);
+            expect((await NaeuralBC.checkMnemonic(second)).valid).toBe(true);
+            await expect(NaeuralBC.generateMnemonic(13)).rejects.toThrow();
+        });
+
+        test('checkMnemonic() reports mistyped words with suggestions', async () => {
+            const result = await NaeuralBC.checkMnemonic([...vector.slice(0, 11), 'abuot']);
+
+            expect(result.valid).toBe(false);
+            expect(result.unknownWords).toEqual([
+                { index: 11, word: 'abuot', suggestions: expect.arrayContaining(['about']) },
+            ]);
+        });
+
+        test('checkMnemonic() detects valid words breaking the checksum', async () => {
+            const result = await NaeuralBC.checkMnemonic([...vector.slice(0, 11), 'above']);
+
+            expect(result.valid).toBe(false);
+            expect(result.unknownWords).toEqual([]);
+            expect(result.reason).toMatch(/checksum/);
+        });
+
+        test('generateRandomWords() draws again the random values that would bias the word choice', () => {
+            const values = [2 ** 32 - 1, 1, 2 ** 32 - (2 ** 32 % words.length), words.length + 2];
+            const getRandomValues = jest
+                .spyOn(crypto, 'getRandomValues')
+                .mockImplementation((array) => array.fill(values.shift()));
+
+            expect(NaeuralBC.generateRandomWords(2)).toEqual([words[1], words[2]]);
+            expect(getRandomValues).toHaveBeenCalledTimes(4);
+
+            getRandomValues.mockRestore();
+        });
+
+        test('the bip39-v1 derivation yields the BIP32 master key of the BIP39 seed', async () => {
+            const identity = await NaeuralBC.generateIdentityFromSecretWords(vector, {
+                version: IDENTITY_DERIVATION_BIP39_V1,
+                passphrase: 'TREZOR',
+            });
+
+            expect(identity.getPrivate('hex')).toEqual(
+                'cbedc75b0d6412c85c79bc13875112ef912fd1e756631b5a00330866f22ff184',
+            );
+            await expect(
+                NaeuralBC.generateIdentityFromSecretWords([...vector.slice(0, 11), 'abuot'], {
+                    version: IDENTITY_DERIVATION_BIP39_V1,
+                }),
+            ).rejects.toThrow('Invalid mnemonic');
+        });
+
+        test('the legacy derivation remains the default', async () => {
+            const legacy = await NaeuralBC.generateIdentityFromSecretWords(['gigi'], {
+                version: IDENTITY_DERIVATION_LEGACY,
+            });
+
+            expect((await NaeuralBC.generateIdentityFromSecretWords(['gigi'])).getPrivate('hex')).toEqual(
+                legacy.getPrivate('hex'),
+            );
+        });
+    });
 });